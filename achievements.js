@@ -0,0 +1,162 @@
+// achievements.js
+// Badges unlocked by gameplay. AchievementTracker listens to the simulation's events and
+// keeps counters per run, per helicopter ride and for the player's lifetime, then checks
+// them against the ACHIEVEMENTS list in constants.js - new achievements only need a
+// config entry. Unlocks and lifetime counters are saved to localStorage.
+
+import { ACHIEVEMENTS } from './constants.js';
+
+const ACHIEVEMENTS_VERSION = 1;
+const SCOPES = ['run', 'ride', 'lifetime'];
+
+/**
+ * Whether an achievement's conditions hold
+ * @param {Object} achievement - Entry of ACHIEVEMENTS
+ * @param {Object} counters - Counter -> amount in the achievement's scope
+ * @returns {boolean}
+ */
+export function isAchievementMet(achievement, counters) {
+    const goalsMet = Object.entries(achievement.GOALS)
+        .every(([counter, target]) => (counters[counter] || 0) >= target);
+    const nothingForbidden = (achievement.FORBID || []).every(counter => !counters[counter]);
+    return goalsMet && nothingForbidden;
+}
+
+export class AchievementTracker {
+    constructor(storageKey = 'infraRunnerAchievements', catalogue = ACHIEVEMENTS) {
+        this.storageKey = storageKey;
+        this.catalogue = catalogue;
+
+        const saved = this.load();
+        this.unlocked = saved.unlocked; // id -> ISO date it was unlocked
+        this.counters = { run: {}, ride: {}, lifetime: saved.lifetime }; // scope -> counter -> amount
+
+        this.simulation = null;
+        this.isEnabled = () => true;
+        this.lastDistance = 0;
+
+        this.onUnlock = null; // callback(achievement), described as in getGallery()
+    }
+
+    /**
+     * Follow a simulation's events
+     * @param {GameSimulation} simulation - Simulation to listen to
+     * @param {Function} isEnabled - () => boolean; events are ignored while false (e.g. during replays)
+     */
+    attach(simulation, isEnabled = () => true) {
+        this.simulation = simulation;
+        this.isEnabled = isEnabled;
+
+        simulation.on('runStarted', () => this.startRun());
+        simulation.on('tick', () => this.updateDistance());
+        simulation.on('itemCollected', ({ type }) => this.record(`item:${type}`));
+        simulation.on('jumped', () => this.record('jumps'));
+        simulation.on('collision', () => this.record('hits'));
+        simulation.on('obstaclePassed', ({ nearMiss }) => {
+            this.record('obstaclesPassed');
+            if (nearMiss) {
+                this.record('nearMiss');
+            }
+        });
+        simulation.on('powerUpActivated', ({ type, renewed }) => {
+            // A helicopter picked up mid-flight keeps the same ride going
+            if (type === 'helicopter' && !renewed) {
+                this.counters.ride = {};
+            }
+        });
+        simulation.on('gameOver', () => {
+            this.record('runs');
+            this.save();
+        });
+    }
+
+    startRun() {
+        this.counters.run = {};
+        this.counters.ride = {};
+        this.lastDistance = 0;
+    }
+
+    updateDistance() {
+        const distance = this.simulation.getDistance();
+        this.record('distance', distance - this.lastDistance);
+        this.lastDistance = distance;
+    }
+
+    // Add to a counter in every scope it applies to, then unlock whatever that completes
+    record(counter, amount = 1) {
+        if (!this.isEnabled() || amount <= 0) return;
+
+        const flying = this.simulation && this.simulation.powerUpManager.getFlyingStatus();
+        for (const scope of SCOPES) {
+            if (scope === 'ride' && !flying) continue;
+            this.counters[scope][counter] = (this.counters[scope][counter] || 0) + amount;
+        }
+
+        for (const achievement of this.catalogue) {
+            if (this.unlocked[achievement.ID] || !(counter in achievement.GOALS)) continue;
+            if (isAchievementMet(achievement, this.counters[achievement.SCOPE])) {
+                this.unlock(achievement);
+            }
+        }
+    }
+
+    unlock(achievement) {
+        this.unlocked[achievement.ID] = new Date().toISOString();
+        this.save();
+        console.log(`🏆 Achievement unlocked: ${achievement.LABEL}`);
+        if (typeof this.onUnlock === 'function') {
+            this.onUnlock(this.describe(achievement));
+        }
+    }
+
+    describe(achievement) {
+        return {
+            id: achievement.ID,
+            icon: achievement.ICON,
+            label: achievement.LABEL,
+            description: achievement.DESCRIPTION,
+            unlockedAt: this.unlocked[achievement.ID] || null
+        };
+    }
+
+    // Every achievement, locked or not, for the gallery screen
+    getGallery() {
+        return this.catalogue.map(achievement => this.describe(achievement));
+    }
+
+    getUnlockedCount() {
+        return this.catalogue.filter(achievement => this.unlocked[achievement.ID]).length;
+    }
+
+    load() {
+        const state = { unlocked: {}, lifetime: {} };
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (!saved || saved.version !== ACHIEVEMENTS_VERSION) return state;
+
+            if (saved.unlocked && typeof saved.unlocked === 'object') {
+                state.unlocked = Object.fromEntries(Object.entries(saved.unlocked)
+                    .filter(([, date]) => typeof date === 'string'));
+            }
+            if (saved.lifetime && typeof saved.lifetime === 'object') {
+                state.lifetime = Object.fromEntries(Object.entries(saved.lifetime)
+                    .filter(([, amount]) => Number.isFinite(amount)));
+            }
+        } catch (error) {
+            console.error('Error loading achievements:', error);
+        }
+        return state;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                version: ACHIEVEMENTS_VERSION,
+                unlocked: this.unlocked,
+                lifetime: this.counters.lifetime
+            }));
+        } catch (error) {
+            console.error('Error saving achievements:', error);
+        }
+    }
+}
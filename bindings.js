@@ -0,0 +1,171 @@
+// bindings.js
+// Player-editable mapping from keys and gamepad buttons to control actions
+// (MOVE_LEFT, JUMP, PAUSE...). Defaults come from CONTROL_ACTIONS in constants.js;
+// changes are saved to localStorage.
+//
+// Each action has KEY_SLOTS key slots and BUTTON_SLOTS button slots. A key or button
+// belongs to at most one action: binding it somewhere new takes it away from its old
+// action, and bind() reports that action so the settings screen can say so.
+
+import { CONTROL_ACTIONS } from './constants.js';
+
+export const KEY_SLOTS = 3;
+export const BUTTON_SLOTS = 2;
+const BINDINGS_VERSION = 1;
+
+const KEY_NAMES = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Space: 'Space',
+    Escape: 'Esc',
+    Enter: 'Enter',
+    ShiftLeft: 'Left Shift',
+    ShiftRight: 'Right Shift',
+    ControlLeft: 'Left Ctrl',
+    ControlRight: 'Right Ctrl'
+};
+
+// Standard gamepad layout, named after the Xbox pad
+const BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3',
+    'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Home'];
+
+/**
+ * Readable name for a KeyboardEvent.code
+ * @param {string} code - e.g. 'KeyA', 'ArrowLeft'
+ * @returns {string} - e.g. 'A', '←'
+ */
+export function formatKey(code) {
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit\d$/.test(code)) return code.slice(5);
+    return code;
+}
+
+/**
+ * Readable name for a standard-layout gamepad button
+ * @param {number} index - Button index
+ * @returns {string} - e.g. 'A', 'D-pad ←'
+ */
+export function formatButton(index) {
+    return BUTTON_NAMES[index] || `Button ${index}`;
+}
+
+export class ControlBindings {
+    constructor(storageKey = 'infraRunnerBindings') {
+        this.storageKey = storageKey;
+        this.actions = this.load();
+    }
+
+    getActionForKey(code) {
+        return this.findAction('keys', code);
+    }
+
+    getActionForButton(index) {
+        return this.findAction('buttons', index);
+    }
+
+    findAction(kind, value) {
+        return Object.keys(this.actions).find(action => this.actions[action][kind].includes(value)) || null;
+    }
+
+    // Bound keys/buttons of an action, without the empty slots
+    getKeys(action) {
+        return this.actions[action].keys.filter(code => code !== null);
+    }
+
+    getButtons(action) {
+        return this.actions[action].buttons.filter(index => index !== null);
+    }
+
+    // Raw slots, including empty (null) ones, for the settings screen
+    getSlots(action, kind) {
+        return [...this.actions[action][kind]];
+    }
+
+    /**
+     * Put a key or button in an action's slot, taking it away from any other action
+     * @param {string} action - Key of CONTROL_ACTIONS
+     * @param {string} kind - 'keys' or 'buttons'
+     * @param {number} slot - Slot index
+     * @param {string|number} value - Key code or button index
+     * @returns {string|null} - Action the key/button was taken from, if any
+     */
+    bind(action, kind, slot, value) {
+        const previousAction = this.findAction(kind, value);
+        if (previousAction) {
+            const slots = this.actions[previousAction][kind];
+            slots[slots.indexOf(value)] = null;
+        }
+        this.actions[action][kind][slot] = value;
+        this.save();
+        return previousAction !== action ? previousAction : null;
+    }
+
+    clear(action, kind, slot) {
+        this.actions[action][kind][slot] = null;
+        this.save();
+    }
+
+    resetToDefaults() {
+        this.actions = this.createDefaults();
+        this.save();
+    }
+
+    // Actions that can no longer be triggered from the keyboard
+    getActionsWithoutKeys() {
+        return Object.keys(this.actions).filter(action => this.getKeys(action).length === 0);
+    }
+
+    createDefaults() {
+        const actions = {};
+        for (const [action, definition] of Object.entries(CONTROL_ACTIONS)) {
+            actions[action] = {
+                keys: this.toSlots(definition.KEYS, KEY_SLOTS),
+                buttons: this.toSlots(definition.BUTTONS, BUTTON_SLOTS)
+            };
+        }
+        return actions;
+    }
+
+    toSlots(values, slotCount) {
+        return Array.from({ length: slotCount }, (_, slot) => values[slot] ?? null);
+    }
+
+    load() {
+        const actions = this.createDefaults();
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (!saved || saved.version !== BINDINGS_VERSION) return actions;
+
+            // Take saved slots for known actions only; anything malformed keeps its default
+            for (const action of Object.keys(actions)) {
+                const savedAction = saved.actions && saved.actions[action];
+                if (!savedAction) continue;
+                if (Array.isArray(savedAction.keys) &&
+                    savedAction.keys.every(code => code === null || typeof code === 'string')) {
+                    actions[action].keys = this.toSlots(savedAction.keys, KEY_SLOTS);
+                }
+                if (Array.isArray(savedAction.buttons) &&
+                    savedAction.buttons.every(index => index === null || Number.isInteger(index))) {
+                    actions[action].buttons = this.toSlots(savedAction.buttons, BUTTON_SLOTS);
+                }
+            }
+        } catch (error) {
+            console.error('Error loading control bindings:', error);
+        }
+        return actions;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                version: BINDINGS_VERSION,
+                actions: this.actions
+            }));
+        } catch (error) {
+            console.error('Error saving control bindings:', error);
+        }
+    }
+}
@@ -0,0 +1,139 @@
+// chunks.js
+// Hand-authored obstacle chunks, loaded from JSON so layouts can be designed without touching JS.
+//
+// File format (see assets/chunks/obstacle-chunks.json):
+//   {
+//     "version": 1,
+//     "chunks": [{
+//       "id": "barrier-slalom",          // Unique name, used in logs
+//       "weights": [0, 2, 3],            // Pick weight per difficulty tier (0 = never in that tier)
+//       "length": 24,                    // Track length the chunk occupies
+//       "obstacles":    [{ "type": "trafficBarrier", "lane": 0, "z": 0 }],
+//       "collectibles": [{ "type": "energyCell", "lane": 2, "z": 0, "y": 0.7 }]
+//     }]
+//   }
+// Lanes are 0 (left) to 2 (right). z is the distance ahead of the chunk start; y is optional.
+// Obstacle types come from OBSTACLE_TYPES, collectible types from CollectableManager.modelConfig.
+// A chunk is only picked once the difficulty has unlocked every obstacle type it uses.
+
+import { LANES, OBSTACLE_TYPES } from './constants.js';
+
+export const CHUNK_FORMAT_VERSION = 1;
+
+export class ChunkLibrary {
+    constructor(chunks = []) {
+        this.chunks = chunks;
+    }
+
+    /**
+     * Weighted pick of a chunk allowed in a difficulty tier
+     * @param {number} tier - Difficulty tier index
+     * @param {string[]} unlockedTypes - Obstacle types the difficulty has unlocked; chunks using others are left out
+     * @param {SeededRandom} rng - Stream to draw from
+     * @returns {Object|null} - Chunk definition, or null if none fit the tier
+     */
+    pickChunk(tier, unlockedTypes, rng) {
+        const weightOf = (chunk) => {
+            if (chunk.obstacles.some(obstacle => !unlockedTypes.includes(obstacle.type))) return 0;
+            return chunk.weights[Math.min(tier, chunk.weights.length - 1)] || 0;
+        };
+        const totalWeight = this.chunks.reduce((sum, chunk) => sum + weightOf(chunk), 0);
+        if (totalWeight <= 0) return null;
+
+        let roll = rng.next() * totalWeight;
+        for (const chunk of this.chunks) {
+            roll -= weightOf(chunk);
+            if (roll < 0) return chunk;
+        }
+        return null;
+    }
+
+    get size() {
+        return this.chunks.length;
+    }
+}
+
+/**
+ * Validate parsed chunk JSON. Invalid chunks are dropped with a warning so one
+ * typo doesn't take the whole library down.
+ * @param {Object} data - Parsed JSON
+ * @returns {ChunkLibrary} - Library of the valid chunks
+ */
+export function parseChunkLibrary(data) {
+    if (!data || data.version !== CHUNK_FORMAT_VERSION || !Array.isArray(data.chunks)) {
+        throw new Error(`Unsupported chunk library version: ${data && data.version}`);
+    }
+
+    const chunks = [];
+    for (const chunk of data.chunks) {
+        const problem = findChunkProblem(chunk);
+        if (problem) {
+            console.warn(`⚠️ Skipping obstacle chunk "${chunk && chunk.id}": ${problem}`);
+            continue;
+        }
+        chunks.push({
+            ...chunk,
+            collectibles: chunk.collectibles || []
+        });
+    }
+
+    return new ChunkLibrary(chunks);
+}
+
+/**
+ * Fetch and validate the chunk library (browser)
+ * @param {string} url - Path to the JSON file
+ * @returns {Promise<ChunkLibrary>} - Loaded library
+ */
+export async function loadChunkLibrary(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load chunk library ${url}: ${response.status}`);
+    }
+    return parseChunkLibrary(await response.json());
+}
+
+function findChunkProblem(chunk) {
+    if (!chunk || typeof chunk.id !== 'string') return 'missing id';
+    if (!Array.isArray(chunk.weights) || chunk.weights.some(weight => typeof weight !== 'number' || weight < 0)) {
+        return 'weights must be a list of non-negative numbers';
+    }
+    if (typeof chunk.length !== 'number' || chunk.length <= 0) return 'length must be positive';
+    if (!Array.isArray(chunk.obstacles)) return 'obstacles must be a list';
+
+    for (const obstacle of chunk.obstacles) {
+        if (!OBSTACLE_TYPES[obstacle.type]) return `unknown obstacle type "${obstacle.type}"`;
+        const placementProblem = findPlacementProblem(obstacle, chunk.length);
+        if (placementProblem) return placementProblem;
+    }
+    const wall = chunk.obstacles.find(obstacle => isWall(chunk.obstacles, obstacle.z));
+    if (wall) return `every lane at z ${wall.z} must be dodged`;
+
+    // Collectible types are checked against CollectableManager.modelConfig when spawned
+    for (const collectible of chunk.collectibles || []) {
+        if (typeof collectible.type !== 'string') return 'collectible is missing its type';
+        const placementProblem = findPlacementProblem(collectible, chunk.length);
+        if (placementProblem) return placementProblem;
+    }
+
+    return null;
+}
+
+// Whether the obstacles at z block every lane with ones that can't be jumped or slid past
+function isWall(obstacles, z) {
+    const blockedLanes = new Set(obstacles
+        .filter(obstacle => obstacle.z === z && !OBSTACLE_TYPES[obstacle.type].jumpable && !OBSTACLE_TYPES[obstacle.type].slidable)
+        .map(obstacle => obstacle.lane));
+    return blockedLanes.size === LANES.COUNT;
+}
+
+function findPlacementProblem(entry, chunkLength) {
+    if (!Number.isInteger(entry.lane) || entry.lane < 0 || entry.lane >= LANES.COUNT) {
+        return `lane ${entry.lane} is not 0-${LANES.COUNT - 1}`;
+    }
+    if (typeof entry.z !== 'number' || entry.z < 0 || entry.z > chunkLength) {
+        return `z ${entry.z} is outside the chunk length ${chunkLength}`;
+    }
+    if (entry.y !== undefined && typeof entry.y !== 'number') return 'y must be a number';
+    return null;
+}
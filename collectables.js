@@ -1,30 +1,36 @@
 // Enhanced Version 9 - Smart Pooling + Progressive Enhancement
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { LANES, COLORS, SPAWN_CONFIG, SCORING, COLLECTABLE_SPAWN_WEIGHTS, PHYSICS } from './constants.js';
+import { LANES, COLORS, GAME_CONFIG, SPAWN_CONFIG, SCORING, COLLECTABLE_SPAWN_WEIGHTS, PHYSICS, DEFAULT_DIFFICULTY } from './constants.js';
+import { getCollectablePowerUpIds, isPowerUpPickup } from './powerup-registry.js';
 import { CollisionUtils } from './collision-utils.js';
+import { getDifficultySettings } from './difficulty.js';
+import { SeededRandom } from './random.js';
 
 export class CollectableManager {
-    constructor(scene) {
+    constructor(scene, rng = new SeededRandom(), options = {}) {
         this.scene = scene;
+        this.rng = rng; // Seeded stream for collectible patterns and placement
+        this.loadModels = options.loadModels !== false; // Headless runs use fallback meshes only
         this.collectables = [];
         this.gameController = null;
         
         // Fair power-up spawning system
-        this.lastPowerUpTime = 0;
-        this.powerUpInterval = 25000;
+        this.lastPowerUpTime = 0; // Interval between power-ups comes from the difficulty director
         this.regularCollectionsCount = 0;
         this.powerUpAfterCollections = 8;
+        this.magnetRadius = PHYSICS.MAGNET_RADIUS; // Magnet reach (magnet, solar boost); shop upgrades raise it (applyUpgrades)
         
         // EXPO FIX: Smart collectible spawning system (like obstacles)
         this.COLLECTIBLE_SPAWN_HORIZON = 45; // Spawn 45 units ahead (beyond camera view)
         this.COLLECTIBLE_DESPAWN_DISTANCE = 20; // Remove collectibles 20 units behind player
         this.MIN_COLLECTIBLE_SPACING = 6; // Minimum distance between collectibles
         this.MAX_COLLECTIBLE_SPACING = 12; // Maximum distance between collectibles
-        this.COLLECTIBLE_DENSITY = 0.6; // 60% of possible positions have collectibles
-        this.POWER_UP_DENSITY = 0.15; // 15% of collectibles are power-ups
-        this.collectiblePattern = this.generateCollectiblePattern(60); // Pre-generate pattern
+        // Collectible and power-up density come from the difficulty director (DIFFICULTY_PRESETS),
+        // read afresh for every slot (generateCollectibleSlot)
+        this.COLLECTIBLE_PATTERN_LENGTH = 60; // Slots before the pattern's positions start over
         this.collectiblePatternIndex = 0;
+        this.collectiblePatternPosition = 0;
         
         // Smart Pooling System
         this.loader = new GLTFLoader();
@@ -38,7 +44,7 @@ export class CollectableManager {
         
         // PRIORITY MODELS: Most frequently collected (load these first)
         this.priorityModels = ['blueprint', 'waterDrop', 'energyCell'];
-        this.backgroundModels = ['hardHat', 'helicopter', 'solarPower', 'windPower', 'waterPipeline'];
+        this.backgroundModels = getCollectablePowerUpIds();
         
         // GLB Model Configuration
         this.modelConfig = {
@@ -105,44 +111,68 @@ export class CollectableManager {
                 rotation: [0, 0, 0],
                 animation: 'spin',
                 fallback: () => new THREE.TorusGeometry(0.2, 0.05, 16, 16)
+            },
+            // No GLB yet, fallback geometry only: a horseshoe (half torus)
+            'magnet': {
+                path: null,
+                scale: [1, 1, 1],
+                yPos: 0.7,
+                rotation: [0, 0, 0],
+                animation: 'float',
+                fallback: () => new THREE.TorusGeometry(0.2, 0.06, 12, 24, Math.PI)
+            },
+            // Lives: only spawned while a life is missing (no GLB yet, fallback geometry only)
+            'repairKit': {
+                path: null,
+                scale: [1, 1, 1],
+                yPos: 0.7,
+                rotation: [0, 0, 0],
+                animation: 'float',
+                fallback: () => new THREE.BoxGeometry(0.4, 0.3, 0.25)
             }
         };
         
-        this.initializeSmartPooling();
+        if (this.loadModels) {
+            this.initializeSmartPooling();
+        }
     }
 
-    // EXPO FIX: Generate smart collectible pattern with good spacing
-    generateCollectiblePattern(length) {
-        const pattern = [];
-        let currentPosition = 0;
+    // EXPO FIX: Generate the next slot of the smart collectible pattern with good spacing.
+    // Difficulty is read for each slot, so a new stage applies from the next collectible on.
+    // Returns { position, type, isPowerUp, lane }, or null for a gap.
+    generateCollectibleSlot() {
+        if (this.collectiblePatternIndex >= this.COLLECTIBLE_PATTERN_LENGTH) {
+            // Start the pattern over
+            this.collectiblePatternIndex = 0;
+            this.collectiblePatternPosition = 0;
+        }
+        this.collectiblePatternIndex++;
+        
         const regularTypes = ['blueprint', 'waterDrop', 'energyCell'];
-        const powerUpTypes = ['hardHat', 'helicopter', 'solarPower', 'windPower', 'waterPipeline'];
+        const powerUpTypes = getCollectablePowerUpIds();
+        const difficulty = this.getDifficultySettings();
         
-        for (let i = 0; i < length; i++) {
-            // Random spacing within our range
-            const spacing = this.MIN_COLLECTIBLE_SPACING + 
-                          Math.random() * (this.MAX_COLLECTIBLE_SPACING - this.MIN_COLLECTIBLE_SPACING);
-            
-            currentPosition += spacing;
-            
-            // Randomly decide whether to place a collectible
-            if (Math.random() < this.COLLECTIBLE_DENSITY) {
-                // Decide if this should be a power-up (less frequent)
-                const isPowerUp = Math.random() < this.POWER_UP_DENSITY;
-                const availableTypes = isPowerUp ? powerUpTypes : regularTypes;
-                const type = availableTypes[Math.floor(Math.random() * availableTypes.length)];
-                
-                pattern.push({
-                    position: currentPosition,
-                    type: type,
-                    isPowerUp: isPowerUp,
-                    lane: Math.floor(Math.random() * 3) // 0, 1, or 2
-                });
-            }
+        // Random spacing within our range
+        const spacing = this.MIN_COLLECTIBLE_SPACING + 
+                      this.rng.next() * (this.MAX_COLLECTIBLE_SPACING - this.MIN_COLLECTIBLE_SPACING);
+        
+        this.collectiblePatternPosition += spacing;
+        
+        // Randomly decide whether to place a collectible
+        if (!this.rng.chance(difficulty.collectibleDensity)) {
+            return null;
         }
         
-
-        return pattern;
+        // Decide if this should be a power-up (less frequent)
+        const isPowerUp = this.rng.chance(difficulty.powerUpDensity);
+        const availableTypes = isPowerUp ? powerUpTypes : regularTypes;
+        
+        return {
+            position: this.collectiblePatternPosition,
+            type: this.rng.pick(availableTypes),
+            isPowerUp: isPowerUp,
+            lane: this.rng.int(3) // 0, 1, or 2
+        };
     }
 
     // EXPO FIX: Smart collectible spawning ahead of player
@@ -168,16 +198,9 @@ export class CollectableManager {
 
     // EXPO FIX: Spawn next collectible from pattern
     spawnNextPatternCollectible() {
-        // Get next collectible from pattern
-        if (this.collectiblePatternIndex >= this.collectiblePattern.length) {
-            // Regenerate pattern if we've used it all
-            this.collectiblePattern = this.generateCollectiblePattern(60);
-            this.collectiblePatternIndex = 0;
-
-        }
-        
-        const collectibleData = this.collectiblePattern[this.collectiblePatternIndex];
-        this.collectiblePatternIndex++;
+        // Get next collectible from pattern (nothing to place in a gap)
+        const collectibleData = this.generateCollectibleSlot();
+        if (!collectibleData) return;
         
         if (!this.gameController) {
             console.warn('⚠️ No game controller - cannot spawn collectible');
@@ -238,6 +261,32 @@ export class CollectableManager {
 
     }
 
+    // Place a collectible authored in an obstacle chunk (see chunks.js). The designer chose
+    // the spot, so the usual obstacle clearance check is skipped.
+    // Also lays the Water Pipeline's drops; returns the new collectable, if any
+    spawnAuthoredCollectible(type, lane, z, y = 0.7) {
+        if (!this.modelConfig[type]) {
+            console.warn(`⚠️ Obstacle chunk uses unknown collectible type: ${type}`);
+            return null;
+        }
+        
+        const spawnPosition = new THREE.Vector3(LANES.POSITIONS[lane], y, z);
+        const obstacles = this.gameController ? this.gameController.getObstacles() : [];
+        const collectableMesh = this.createCollectableMesh(type, spawnPosition, obstacles);
+        if (!collectableMesh) {
+            return null;
+        }
+        
+        const collectable = {
+            mesh: collectableMesh,
+            type: type,
+            isPowerUp: isPowerUpPickup(type),
+            lane: lane
+        };
+        this.collectables.push(collectable);
+        return collectable;
+    }
+
     // EXPO FIX: Check if position is clear of obstacles
     isPositionClearOfObstacles(position, obstacles) {
         const checkRadius = 2.5; // Safe distance from obstacles
@@ -444,16 +493,17 @@ export class CollectableManager {
     }
 
     createCollectable(playerZ, obstacles) {
-        // SMART SPAWNING: Heavily favor priority models for better consistency
+        // SMART SPAWNING: Heavily favor priority models for better consistency.
+        // Never depends on what has loaded yet, so a seed always spawns the same items.
         const regularCollectibles = COLLECTABLE_SPAWN_WEIGHTS.REGULAR;
         let type;
         
-        if (this.priorityModelsLoaded && Math.random() < 0.9) {
-            // 90% chance to use priority models (guaranteed GLB quality)
-            type = this.priorityModels[Math.floor(Math.random() * this.priorityModels.length)];
+        if (this.rng.chance(0.9)) {
+            // 90% chance to use priority models (first to load as GLBs)
+            type = this.rng.pick(this.priorityModels);
         } else {
             // 10% chance for variety
-            type = regularCollectibles[Math.floor(Math.random() * regularCollectibles.length)];
+            type = this.rng.pick(regularCollectibles);
         }
 
         // Find clear position using exact lane positions
@@ -464,8 +514,8 @@ export class CollectableManager {
         const currentObstacles = obstacles || (this.gameController ? this.gameController.getObstacles() : []);
 
         while (!positionClear && attempts < maxAttempts) {
-            const laneIndex = Math.floor(Math.random() * LANES.COUNT);
-            const zPos = playerZ - 60 - (Math.random() * 20);
+            const laneIndex = this.rng.int(LANES.COUNT);
+            const zPos = playerZ - 60 - (this.rng.next() * 20);
             spawnPosition = new THREE.Vector3(LANES.POSITIONS[laneIndex], 0.7, zPos);
 
             positionClear = true;
@@ -493,62 +543,49 @@ export class CollectableManager {
         }
     }
 
+    // Returns false if no lane was clear of obstacles (try again later)
     createPowerUp(playerZ, obstacles) {
-        // SMART POWER-UP SPAWNING: Prefer loaded models
-        const powerUps = COLLECTABLE_SPAWN_WEIGHTS.POWER_UPS;
-        let type;
-        
-        if (this.allModelsLoaded) {
-            // Use any power-up when all loaded
-            type = powerUps[Math.floor(Math.random() * powerUps.length)];
-        } else {
-            // Prefer loaded power-ups if available
-            const loadedPowerUps = powerUps.filter(t => this.loadedModels.has(t) && this.loadedModels.get(t) !== null);
-            if (loadedPowerUps.length > 0) {
-                type = loadedPowerUps[Math.floor(Math.random() * loadedPowerUps.length)];
-            } else {
-                type = powerUps[Math.floor(Math.random() * powerUps.length)];
-            }
-        }
+        // Any power-up, whether or not its model has loaded (a fallback mesh stands in and
+        // is upgraded later), so a seed always spawns the same power-ups
+        const type = this.rng.pick(getCollectablePowerUpIds());
 
-        // Find clear position
-        let spawnPosition;
-        let positionClear = false;
-        let attempts = 0;
-        const maxAttempts = 10;
         const currentObstacles = obstacles || (this.gameController ? this.gameController.getObstacles() : []);
+        const spawnPosition = this.findClearLanePosition(playerZ - 40, currentObstacles);
+        if (!spawnPosition) return false;
 
-        while (!positionClear && attempts < maxAttempts) {
-            const laneIndex = Math.floor(Math.random() * LANES.COUNT);
-            const zPos = playerZ - 40;
-            spawnPosition = new THREE.Vector3(LANES.POSITIONS[laneIndex], 0.7, zPos);
+        const collectableMesh = this.createCollectableMesh(type, spawnPosition, currentObstacles);
+        if (!collectableMesh) return false;
+        
+        this.collectables.push({ mesh: collectableMesh, type: type });
+        return true;
+    }
 
-            positionClear = true;
-            if (currentObstacles && currentObstacles.length > 0) {
-                for (const obstacle of currentObstacles) {
-                    const obstacleBox = new THREE.Box3().setFromObject(obstacle.mesh);
-                    const collectiblePreviewBox = new THREE.Box3(
-                        new THREE.Vector3(spawnPosition.x - 0.5, spawnPosition.y - 0.5, spawnPosition.z - 0.5),
-                        new THREE.Vector3(spawnPosition.x + 0.5, spawnPosition.y + 0.5, spawnPosition.z + 0.5)
-                    );
-                    if (collectiblePreviewBox.intersectsBox(obstacleBox)) {
-                        positionClear = false;
-                        break;
-                    }
-                }
-            }
-            attempts++;
-        }
+    // Repair kit (+1 life), placed like a power-up. Returns false if no lane was clear.
+    createRepairKit(playerZ, distanceAhead, obstacles) {
+        const currentObstacles = obstacles || (this.gameController ? this.gameController.getObstacles() : []);
+        const spawnPosition = this.findClearLanePosition(playerZ - distanceAhead, currentObstacles);
+        if (!spawnPosition) return false;
 
-        if (!positionClear) {
-            spawnPosition = new THREE.Vector3(LANES.POSITIONS[LANES.CENTER], 0.7, playerZ - 40); // Fixed: ground level, not floating
-        }
+        const collectableMesh = this.createCollectableMesh('repairKit', spawnPosition, currentObstacles);
+        if (!collectableMesh) return false;
+        
+        this.collectables.push({ mesh: collectableMesh, type: 'repairKit' });
+        return true;
+    }
 
-        const collectableMesh = this.createCollectableMesh(type, spawnPosition, currentObstacles);
-        if (collectableMesh) {
-            this.collectables.push({ mesh: collectableMesh, type: type });
+    // Random lane at zPos with no obstacle within isPositionClearOfObstacles' radius, or null
+    // if none turns up in a few tries (never placed on top of an obstacle)
+    findClearLanePosition(zPos, obstacles, y = 0.7) {
+        const maxAttempts = 10;
 
+        for (let attempts = 0; attempts < maxAttempts; attempts++) {
+            const laneIndex = this.rng.int(LANES.COUNT);
+            const spawnPosition = new THREE.Vector3(LANES.POSITIONS[laneIndex], y, zPos);
+            if (this.isPositionClearOfObstacles(spawnPosition, obstacles || [])) {
+                return spawnPosition;
+            }
         }
+        return null;
     }
 
     createCollectableMesh(type, spawnPosition, obstacles) {
@@ -564,6 +601,8 @@ export class CollectableManager {
 
     createGLBCollectableMesh(type, config, spawnPosition, obstacles) {
         let collectableMesh;
+        // Drawn for fallbacks too, so the seeded stream doesn't depend on GLB load timing
+        const rotationSpeed = 0.02 + this.rng.next() * 0.03;
 
         // PROGRESSIVE ENHANCEMENT: Try GLB first, fallback if not loaded
         const loadedModel = this.loadedModels.get(type);
@@ -590,7 +629,7 @@ export class CollectableManager {
                 animationType: config.animation,
                 originalY: spawnPosition.y, // Use actual spawn Y position for animation
                 animationTime: 0,
-                rotationSpeed: 0.02 + Math.random() * 0.03,
+                rotationSpeed: rotationSpeed,
                 isFallback: false,
                 modelType: type
             };
@@ -669,16 +708,18 @@ export class CollectableManager {
             'helicopter': COLORS.COLLECTABLES.HELICOPTER,
             'solarPower': COLORS.COLLECTABLES.SOLAR_POWER,
             'windPower': COLORS.COLLECTABLES.WIND_POWER,
-            'waterPipeline': COLORS.COLLECTABLES.WATER_PIPELINE
+            'waterPipeline': COLORS.COLLECTABLES.WATER_PIPELINE,
+            'magnet': COLORS.COLLECTABLES.MAGNET,
+            'repairKit': COLORS.COLLECTABLES.REPAIR_KIT
         };
         return colorMap[type] || 0x888888;
     }
 
-    animateCollectable(collectable) {
+    animateCollectable(collectable, deltaTime) {
         if (!collectable.mesh.userData) return;
 
         const userData = collectable.mesh.userData;
-        userData.animationTime += 0.016;
+        userData.animationTime += deltaTime / 1000;
 
         switch (userData.animationType) {
             case 'float':
@@ -719,16 +760,16 @@ export class CollectableManager {
         
         const collectableMesh = new THREE.Mesh(geometry, material);
         
-        const laneIndex = Math.floor(Math.random() * LANES.COUNT);
+        const laneIndex = this.rng.int(LANES.COUNT);
         
         collectableMesh.position.set(
             LANES.POSITIONS[laneIndex],
             playerPosition.y + 0.9,
-            playerPosition.z - 30 - (Math.random() * 20)
+            playerPosition.z - 30 - (this.rng.next() * 20)
         );
         
         collectableMesh.userData = {
-            rotationSpeed: 0.05 + Math.random() * 0.05,
+            rotationSpeed: 0.05 + this.rng.next() * 0.05,
             animationType: 'spin',
             originalY: playerPosition.y + 0.9,
             animationTime: 0,
@@ -742,12 +783,13 @@ export class CollectableManager {
 
     createSolarOrb(playerPosition) {
         let collectableMesh;
-        const laneIndex = Math.floor(Math.random() * LANES.COUNT);
-        const spawnPosition = new THREE.Vector3(
-            LANES.POSITIONS[laneIndex],
-            playerPosition.y + 0.5,
-            playerPosition.z - 25 - (Math.random() * 15)
+        const obstacles = this.gameController ? this.gameController.getObstacles() : [];
+        const spawnPosition = this.findClearLanePosition(
+            playerPosition.z - 25 - (this.rng.next() * 15),
+            obstacles,
+            playerPosition.y + 0.5
         );
+        if (!spawnPosition) return; // No clear lane this time
 
         // Try to use Lightning Bolt GLB model
         const loadedModel = this.loadedModels.get('lightning');
@@ -788,8 +830,8 @@ export class CollectableManager {
             animationType: 'pulse',
             originalY: spawnPosition.y,
             animationTime: 0,
-            rotationSpeed: 0.08 + Math.random() * 0.04,
-            pulseSpeed: 0.03 + Math.random() * 0.02,
+            rotationSpeed: 0.08 + this.rng.next() * 0.04,
+            pulseSpeed: 0.03 + this.rng.next() * 0.02,
             isFallback: !loadedModel
         };
         
@@ -827,7 +869,7 @@ export class CollectableManager {
 
     }
 
-    updateCollectables(gameSpeed, cameraZ) {
+    updateCollectables(gameSpeed, cameraZ, deltaTime = GAME_CONFIG.FIXED_TIMESTEP) {
         // EXPO FIX: Smart cleanup of collectibles behind player
         this.removeCollectiblesBehindPlayer(cameraZ);
         
@@ -839,16 +881,37 @@ export class CollectableManager {
             const collectable = this.collectables[i];
             collectable.mesh.position.z += gameSpeed;
             
-            this.animateCollectable(collectable);
+            this.animateCollectable(collectable, deltaTime);
         }
     }
 
+    // Returns the types of regular collectibles that went fully behind the player since the
+    // last call without being picked up. Call after checkCollisions so fast pickups count.
+    trackMissedCollectables() {
+        const player = this.gameController?.player;
+        if (!player) return [];
+        
+        const playerBox = player.getCollisionBox();
+        const missed = [];
+        for (const collectable of this.collectables) {
+            if (collectable.passed || !COLLECTABLE_SPAWN_WEIGHTS.REGULAR.includes(collectable.type)) continue;
+            
+            const collectableBox = new THREE.Box3().setFromObject(collectable.mesh);
+            if (collectableBox.min.z > playerBox.max.z) {
+                collectable.passed = true;
+                missed.push(collectable.type);
+            }
+        }
+        
+        return missed;
+    }
+
     checkCollisions(playerBox) {
         const collectedItems = [];
         
         const gameSpeed = this.gameController ? this.gameController.getGameSpeed() : 0;
         const hasMagnetEffect = this.gameController && this.gameController.powerUpManager ? 
-                              this.gameController.powerUpManager.getSolarBoostStatus() : false;
+                              this.gameController.powerUpManager.getMagnetStatus() : false;
         
         for (let i = this.collectables.length - 1; i >= 0; i--) {
             const collectable = this.collectables[i];
@@ -871,7 +934,8 @@ export class CollectableManager {
             // Enhanced collision detection
             let collisionDetected = false;
             
-            if (gameSpeed > PHYSICS.HIGH_SPEED_THRESHOLD) {
+            // The magnet's wider pickup box applies at any speed
+            if (gameSpeed > PHYSICS.HIGH_SPEED_THRESHOLD || hasMagnetEffect) {
                 collisionDetected = CollisionUtils.checkCollectableCollision(
                     playerBox, 
                     collectableBox, 
@@ -891,9 +955,10 @@ export class CollectableManager {
                 // Performance tracking for debugging if needed
                 }
                 
-                // Track regular collections for power-up spawning
+                // Track regular collections for power-up spawning (Water Pipeline drops don't count,
+                // or a pipeline would keep spawning power-ups, and more pipelines, from its own drops)
                 const regularTypes = ['blueprint', 'waterDrop', 'energyCell'];
-                if (regularTypes.includes(collectable.type)) {
+                if (regularTypes.includes(collectable.type) && !collectable.skipsPowerUpCount) {
                     this.regularCollectionsCount++;
                 }
             }
@@ -902,37 +967,68 @@ export class CollectableManager {
         return collectedItems;
     }
 
+    // Curve collectibles within magnetRadius in to the player: they are drawn along the track
+    // (faster the closer they get) while easing across into the player's lane and up or down to
+    // the player's height, so they arc in and meet a jumping or flying player mid-air.
     applyMagnetEffect(playerPosition, magnetRadius, magnetSpeed) {
-        let affectedCount = 0;
         for (const collectable of this.collectables) {
-            const distance = playerPosition.distanceTo(collectable.mesh.position);
-            if (distance < magnetRadius) {
-                const direction = new THREE.Vector3()
-                    .subVectors(playerPosition, collectable.mesh.position)
-                    .normalize();
-                collectable.mesh.position.add(direction.multiplyScalar(magnetSpeed));
-                affectedCount++;
+            const mesh = collectable.mesh;
+            const distance = playerPosition.distanceTo(mesh.position);
+            if (distance >= magnetRadius) continue;
+            
+            const closeness = 1 - distance / magnetRadius; // 0 at the edge, 1 at the player
+            const gapZ = playerPosition.z - mesh.position.z;
+            const stepZ = Math.min(Math.abs(gapZ), magnetSpeed * (0.5 + closeness));
+            mesh.position.z += Math.sign(gapZ) * stepZ;
+            
+            // Stays between the outer lanes: it only ever moves towards the player's lane
+            mesh.position.x += (playerPosition.x - mesh.position.x) * PHYSICS.MAGNET_LATERAL_EASE * (1 + closeness);
+            
+            // Float animations set y from originalY every tick, so move that too
+            const targetY = playerPosition.y + PHYSICS.MAGNET_TARGET_HEIGHT;
+            const stepY = (targetY - mesh.position.y) * PHYSICS.MAGNET_VERTICAL_EASE * (1 + closeness);
+            mesh.position.y += stepY;
+            if (mesh.userData && mesh.userData.originalY !== undefined) {
+                mesh.userData.originalY += stepY;
             }
         }
-        if (affectedCount > 0) {
-            console.log(`🧢 DEBUG: Magnet effect applied to ${affectedCount} collectibles (radius: ${magnetRadius}, speed: ${magnetSpeed})`);
-        }
     }
 
     getCollectables() {
         return this.collectables;
     }
 
+    // effects is getUpgradeEffects() (upgrades.js) for the run about to start
+    applyUpgrades(effects) {
+        this.magnetRadius = effects.magnetRadius;
+    }
+
+    getMagnetRadius() {
+        return this.magnetRadius;
+    }
+
+    // Power-up timing runs on simulation time so it stops while the game is paused
+    getSimulationTime() {
+        return this.gameController ? this.gameController.getSimulationTime() : 0;
+    }
+
+    // Current difficulty settings; defaults apply before a game controller is attached
+    getDifficultySettings() {
+        return this.gameController ?
+            this.gameController.getDifficultySettings() :
+            getDifficultySettings(DEFAULT_DIFFICULTY, 0);
+    }
+
     shouldSpawnPowerUp() {
-        const currentTime = Date.now();
+        const currentTime = this.getSimulationTime();
         const timeSinceLastPowerUp = currentTime - this.lastPowerUpTime;
         
-        return timeSinceLastPowerUp >= this.powerUpInterval || 
+        return timeSinceLastPowerUp >= this.getDifficultySettings().powerUpInterval || 
                this.regularCollectionsCount >= this.powerUpAfterCollections;
     }
     
     markPowerUpSpawned() {
-        this.lastPowerUpTime = Date.now();
+        this.lastPowerUpTime = this.getSimulationTime();
         this.regularCollectionsCount = 0;
     }
     
@@ -941,12 +1037,12 @@ export class CollectableManager {
         this.collectables = [];
         
         // Reset fair spawning system
-        this.lastPowerUpTime = Date.now();
+        this.lastPowerUpTime = this.getSimulationTime();
         this.regularCollectionsCount = 0;
         
         // EXPO FIX: Reset smart spawning system
         this.collectiblePatternIndex = 0;
-        this.collectiblePattern = this.generateCollectiblePattern(60);
+        this.collectiblePatternPosition = 0;
         
         // CRITICAL FIX: Reset spawn history for power-up distance tracking
         this.spawnHistory = {
@@ -0,0 +1,76 @@
+// combo.js
+// Combo meter: pickups and untouched obstacle passes in a row build a chain, and every
+// CHAIN_PER_STEP links raise the score multiplier (COMBO_CONFIG in constants.js).
+// Each link refills the decay timer; when it runs out the multiplier drops a step.
+// Missing a pickup or getting hit breaks the chain outright.
+
+import { COMBO_CONFIG } from './constants.js';
+
+/**
+ * Score multiplier for a chain length
+ * @param {number} chain - Pickups/passes in a row
+ * @param {Object} config - Defaults to COMBO_CONFIG
+ * @returns {number} - 1 for no combo, up to config.MAX_MULTIPLIER
+ */
+export function getComboMultiplier(chain, config = COMBO_CONFIG) {
+    const step = Math.floor(chain / config.CHAIN_PER_STEP);
+    return Math.min(1 + step * config.MULTIPLIER_STEP, config.MAX_MULTIPLIER);
+}
+
+export class ComboMeter {
+    constructor(config = COMBO_CONFIG) {
+        this.config = config;
+        this.reset();
+    }
+
+    reset() {
+        this.chain = 0;
+        this.decayRemaining = 0; // ms until the multiplier drops a step
+        this.bestMultiplier = 1;
+    }
+
+    // A pickup or clean pass
+    extend() {
+        this.chain++;
+        this.decayRemaining = this.config.DECAY_TIME;
+        this.bestMultiplier = Math.max(this.bestMultiplier, this.getMultiplier());
+    }
+
+    // Returns true if there was a chain to break
+    break() {
+        if (this.chain === 0) return false;
+        this.chain = 0;
+        this.decayRemaining = 0;
+        return true;
+    }
+
+    // Run the decay timer; returns true if the chain shrank
+    update(deltaTime) {
+        if (this.chain === 0) return false;
+        this.decayRemaining -= deltaTime;
+        if (this.decayRemaining > 0) return false;
+
+        // Back to the start of the step below (above the cap, that is the cap itself)
+        const step = Math.round((this.getMultiplier() - 1) / this.config.MULTIPLIER_STEP);
+        this.chain = Math.max(step - 1, 0) * this.config.CHAIN_PER_STEP;
+        this.decayRemaining = this.chain > 0 ? this.config.DECAY_TIME : 0;
+        return true;
+    }
+
+    getChain() {
+        return this.chain;
+    }
+
+    getMultiplier() {
+        return getComboMultiplier(this.chain, this.config);
+    }
+
+    getBestMultiplier() {
+        return this.bestMultiplier;
+    }
+
+    // Share of the decay timer left (0-1), for the HUD bar
+    getDecayProgress() {
+        return this.chain > 0 ? this.decayRemaining / this.config.DECAY_TIME : 0;
+    }
+}
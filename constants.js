@@ -3,8 +3,7 @@ import * as THREE from 'three';
 
 // Game Constants
 export const GAME_CONFIG = {
-    INITIAL_SPEED: 0.13,
-    SPEED_INCREMENT: 0.000050,
+    INITIAL_SPEED: 0.13, // Speed before a run starts; during a run the difficulty director sets it
     GRAVITY: -0.02,
     INITIAL_JUMP_VELOCITY: 0.35,
     DOUBLE_JUMP_VELOCITY: 0.3,
@@ -12,7 +11,29 @@ export const GAME_CONFIG = {
     PLAYER_VISUAL_OFFSET: -0.35, // Offset to align GLB model visual center with collision box
     CAMERA_FOLLOW_SPEED: 0.1,
     LANE_SWITCH_SPEED: 0.35,
-    DEBUG_COLLISIONS: false // Set to true to visualize player collision box
+    // Forgiving input (all ms of simulation time)
+    JUMP_BUFFER: 150, // A jump pressed while airborne fires on landing if it lands within this long
+    COYOTE_TIME: 100, // A ground jump still works this long after dropping without jumping (end of a helicopter ride)
+    LANE_CHANGE_BUFFER: 100, // A lane change pressed mid-transition waits at most this long...
+    LANE_CHANGE_SETTLE_DISTANCE: 0.5, // ...or until the player is this close to the lane it is moving into
+    SLIDE_DURATION: 700, // ms spent sliding along the ground
+    // Collision box height while sliding (standing is 1.0). On the ground the box runs from -0.2 to
+    // 0.15, well under the overhead obstacles' bottom at 0.6 (see ObstacleManager.modelConfig), so a
+    // slide clears them by 0.45 rather than by a hair; a standing player (top 0.8) still hits them
+    SLIDE_COLLISION_HEIGHT: 0.35,
+    SLIDE_FAST_FALL_VELOCITY: -0.45, // Sliding mid-jump drops at least this fast, then slides on landing
+    SLIDE_LEAN_ANGLE: 1.1, // Radians the model leans back at full slide
+    // Simulation runs on a fixed tick; per-tick values above (speed, gravity, lane lerp) are tuned for this step
+    FIXED_TIMESTEP: 1000 / 60, // ms per simulation tick
+    MAX_STEPS_PER_FRAME: 5, // Cap catch-up ticks after a long frame (tab switch, GC pause)
+    DEBUG_COLLISIONS: false, // Set to true to visualize player collision box
+    DEBUG_JUMPS: false // Set to true to log each regular and double jump
+};
+
+// Speed modifiers on top of the difficulty curve (speed-modifiers.js)
+export const SPEED_CONFIG = {
+    START_RAMP: 0.6, // Speed multiplier as a run starts, easing up to full speed...
+    START_RAMP_TIME: 1500 // ...over this long (ms)
 };
 
 export const LANES = {
@@ -23,6 +44,50 @@ export const LANES = {
     RIGHT: 2
 };
 
+// Touch controls (swipe-gestures.js). Distances are CSS pixels, times are ms.
+export const TOUCH_CONFIG = {
+    SWIPE_MIN_DISTANCE: 40, // Travel that counts as a swipe; fires without waiting for the finger to lift
+    FLICK_MIN_DISTANCE: 15, // Shorter movements only count if they are fast...
+    SWIPE_MIN_VELOCITY: 0.4, // ...at least this many px per ms
+    SWIPE_MAX_DURATION: 500 // Slower drags are ignored
+};
+
+// Rebindable controls (bindings.js). KEYS are KeyboardEvent.code values, BUTTONS are
+// gamepad button indices in the browser's "standard" layout (0 = A/Cross, 1 = B/Circle,
+// 9 = Start, 12-15 = D-pad up/down/left/right). Players can change these in Controls.
+export const CONTROL_ACTIONS = {
+    MOVE_LEFT: { LABEL: 'Move left', KEYS: ['ArrowLeft', 'KeyA'], BUTTONS: [14] },
+    MOVE_RIGHT: { LABEL: 'Move right', KEYS: ['ArrowRight', 'KeyD'], BUTTONS: [15] },
+    JUMP: { LABEL: 'Jump', KEYS: ['ArrowUp', 'Space', 'KeyW'], BUTTONS: [0, 12] },
+    SLIDE: { LABEL: 'Slide', KEYS: ['ArrowDown', 'KeyS'], BUTTONS: [1, 13] },
+    PAUSE: { LABEL: 'Pause / resume', KEYS: ['Escape', 'KeyP'], BUTTONS: [9] },
+    RESTART: { LABEL: 'Restart (after game over)', KEYS: ['KeyR'], BUTTONS: [] }
+};
+
+// Gamepads (gamepad-input.js)
+export const GAMEPAD_CONFIG = {
+    STICK_DEADZONE: 0.5, // Left stick must pass this to count as a direction...
+    STICK_RELEASE: 0.3, // ...and come back inside this before the same direction fires again
+    // Menu navigation is fixed so a bad rebind can't lock anyone out of the menus
+    MENU_BUTTONS: {
+        CONFIRM: [0],     // A / Cross
+        BACK: [1, 8],     // B / Circle, Back / Select
+        START: [9],       // Start / Options
+        UP: [12],         // D-pad
+        DOWN: [13],
+        LEFT: [14],
+        RIGHT: [15]
+    }
+};
+
+// Touch layouts picked on the start menu. Swipes work in every layout; BUTTONS adds
+// on-screen buttons for players who find swiping hard.
+export const DEFAULT_TOUCH_LAYOUT = 'SWIPE';
+export const TOUCH_LAYOUTS = {
+    SWIPE: { LABEL: '👆 Swipe', SHOW_BUTTONS: false },
+    BUTTONS: { LABEL: '🔘 Swipe + Buttons', SHOW_BUTTONS: true }
+};
+
 export const COLORS = {
     PLAYER: {
         DEFAULT: 0xff0000,
@@ -30,7 +95,8 @@ export const COLORS = {
         FLYING: 0x888888,
         SOLAR_BOOST: 0xffff00,
         WIND_POWER: 0xaaffaa,
-        WATER_SLIDE: 0x00aaff
+        WATER_SLIDE: 0x00aaff,
+        MAGNET: 0xff55aa
     },
     OBSTACLES: {
         POTHOLE: 0x333333,
@@ -38,7 +104,10 @@ export const COLORS = {
         CONE: 0xff8800,
         RUBBLE: 0x808080,
         TRAFFIC_BARRIER: 0xff6600,
-        FLOOR_HOLE: 0x111111
+        FLOOR_HOLE: 0x111111,
+        SCAFFOLDING_BEAM: 0x8a8d91,
+        HANGING_SIGN: 0xffcc00,
+        BARRIER_ARM: 0xe8e8e8
     },
     COLLECTABLES: {
         BLUEPRINT: 0x0000ff,
@@ -49,8 +118,10 @@ export const COLORS = {
         SOLAR_POWER: 0xffff00,
         WIND_POWER: 0xaaffaa,
         WATER_PIPELINE: 0x0088ff,
+        MAGNET: 0xdd2222,
         AERIAL_STAR: 0xffdd00,
-        SOLAR_ORB: 0xffcc33 // New: Solar energy collectible
+        SOLAR_ORB: 0xffcc33, // New: Solar energy collectible
+        REPAIR_KIT: 0xff3366
     },
     ENVIRONMENT: {
         SKY_WARM: 0xFF6B35, // Vibrant African sunset orange
@@ -100,39 +171,233 @@ export const SPAWN_CONFIG = {
     OBSTACLE_INTERVAL: { MIN: 1000, MAX: 2000 }, // EXPO FIX: Moderately faster obstacle spawning
     AERIAL_SPAWN_CHANCE: 0.02,
     SOLAR_ORB_SPAWN_CHANCE: 0.03, // Slightly higher chance than aerial stars
-    OBSTACLE_DYNAMIC_INTERVAL: {
-        ENABLED: true,
-        MIN_CLAMP: 700,       // Absolute minimum spawn interval (ms)
-        MAX_CLAMP_MIN_OFFSET: 300, // Ensures MAX_CLAMP is always at least MIN_CLAMP + this offset
-        // How much the interval (both min and max of the range) decreases per unit of game speed.
-        // e.g., if gameSpeed is 0.2 and sensitivity is 5000, reduction is 0.2 * 5000 = 1000ms.
-        SPEED_SENSITIVITY: 6000 
+    // Reachability check that keeps every obstacle row survivable (see ObstacleManager.isPassableWith)
+    PASSABILITY: {
+        ROW_DEPTH: 1.0,      // Obstacles closer than this along the track count as one row
+        LANE_CLEARANCE: 0.3, // A lane change is complete once the player is this close to the lane centre
+        CLEAR_DEPTH: 1.8,    // Track length (obstacle plus player depth) spent over a jumped row or under a slid one
+        SPEED_MARGIN: 1.5    // Also check rows being reached this much faster (covers Solar Boost)
     }
 };
 
+// Hand-authored obstacle chunks (see chunks.js for the JSON format)
+export const CHUNK_CONFIG = {
+    LIBRARY_PATH: './assets/chunks/obstacle-chunks.json',
+    CHUNK_CHANCE: 0.35 // Chance each obstacle pattern slot becomes a whole chunk (tier comes from DIFFICULTY_PRESETS)
+};
+
+// Difficulty curves by distance run. The director (difficulty.js) interpolates numeric
+// values between stages and holds the last stage's values past the end (speed cap).
+// UNLOCKS adds obstacle types from that stage on; CHUNK_TIER picks which chunk weights apply.
+// LIVES is how many hits a run survives (1 = the first hit ends it); repair kits refill up to it.
+export const DEFAULT_DIFFICULTY = 'NORMAL';
+
+export const DIFFICULTY_PRESETS = {
+    EASY: {
+        LABEL: 'Easy',
+        LIVES: 3,
+        STAGES: [
+            { DISTANCE: 0, SPEED: 0.11, OBSTACLE_SPACING: { MIN: 6, MAX: 10 }, OBSTACLE_DENSITY: 0.6, UNLOCKS: ['pothole', 'cone', 'rubble'], CHUNK_TIER: 0, COLLECTIBLE_DENSITY: 0.7, POWER_UP_DENSITY: 0.2, POWER_UP_INTERVAL: 20000 },
+            { DISTANCE: 500, SPEED: 0.16, OBSTACLE_SPACING: { MIN: 5, MAX: 9 }, OBSTACLE_DENSITY: 0.65, UNLOCKS: ['floorHole', 'constructionBarrier'], CHUNK_TIER: 0, COLLECTIBLE_DENSITY: 0.65, POWER_UP_DENSITY: 0.18, POWER_UP_INTERVAL: 22000 },
+            { DISTANCE: 1500, SPEED: 0.22, OBSTACLE_SPACING: { MIN: 4.5, MAX: 8 }, OBSTACLE_DENSITY: 0.7, UNLOCKS: ['trafficBarrier', 'hangingSign'], CHUNK_TIER: 1, COLLECTIBLE_DENSITY: 0.6, POWER_UP_DENSITY: 0.15, POWER_UP_INTERVAL: 25000 },
+            { DISTANCE: 3000, SPEED: 0.28, OBSTACLE_SPACING: { MIN: 4, MAX: 8 }, OBSTACLE_DENSITY: 0.75, UNLOCKS: ['scaffoldingBeam', 'barrierArm'], CHUNK_TIER: 1, COLLECTIBLE_DENSITY: 0.6, POWER_UP_DENSITY: 0.15, POWER_UP_INTERVAL: 25000 }
+        ]
+    },
+    NORMAL: {
+        LABEL: 'Normal',
+        LIVES: 2,
+        STAGES: [
+            { DISTANCE: 0, SPEED: 0.13, OBSTACLE_SPACING: { MIN: 4, MAX: 8 }, OBSTACLE_DENSITY: 0.75, UNLOCKS: ['pothole', 'cone', 'rubble', 'floorHole'], CHUNK_TIER: 0, COLLECTIBLE_DENSITY: 0.6, POWER_UP_DENSITY: 0.15, POWER_UP_INTERVAL: 25000 },
+            { DISTANCE: 300, SPEED: 0.2, OBSTACLE_SPACING: { MIN: 4, MAX: 7.5 }, OBSTACLE_DENSITY: 0.75, UNLOCKS: ['constructionBarrier', 'hangingSign'], CHUNK_TIER: 1, COLLECTIBLE_DENSITY: 0.6, POWER_UP_DENSITY: 0.15, POWER_UP_INTERVAL: 25000 },
+            { DISTANCE: 1000, SPEED: 0.3, OBSTACLE_SPACING: { MIN: 3.5, MAX: 7 }, OBSTACLE_DENSITY: 0.8, UNLOCKS: ['trafficBarrier', 'scaffoldingBeam', 'barrierArm'], CHUNK_TIER: 2, COLLECTIBLE_DENSITY: 0.55, POWER_UP_DENSITY: 0.12, POWER_UP_INTERVAL: 28000 },
+            { DISTANCE: 2500, SPEED: 0.4, OBSTACLE_SPACING: { MIN: 3, MAX: 6 }, OBSTACLE_DENSITY: 0.85, UNLOCKS: [], CHUNK_TIER: 2, COLLECTIBLE_DENSITY: 0.5, POWER_UP_DENSITY: 0.1, POWER_UP_INTERVAL: 30000 }
+        ]
+    },
+    HARD: {
+        LABEL: 'Hard',
+        LIVES: 1,
+        STAGES: [
+            { DISTANCE: 0, SPEED: 0.16, OBSTACLE_SPACING: { MIN: 3.5, MAX: 7 }, OBSTACLE_DENSITY: 0.8, UNLOCKS: ['pothole', 'cone', 'rubble', 'floorHole', 'constructionBarrier', 'trafficBarrier', 'hangingSign'], CHUNK_TIER: 1, COLLECTIBLE_DENSITY: 0.55, POWER_UP_DENSITY: 0.12, POWER_UP_INTERVAL: 28000 },
+            { DISTANCE: 600, SPEED: 0.28, OBSTACLE_SPACING: { MIN: 3, MAX: 6 }, OBSTACLE_DENSITY: 0.85, UNLOCKS: ['scaffoldingBeam', 'barrierArm'], CHUNK_TIER: 2, COLLECTIBLE_DENSITY: 0.5, POWER_UP_DENSITY: 0.1, POWER_UP_INTERVAL: 30000 },
+            { DISTANCE: 2000, SPEED: 0.5, OBSTACLE_SPACING: { MIN: 2.5, MAX: 5 }, OBSTACLE_DENSITY: 0.9, UNLOCKS: [], CHUNK_TIER: 2, COLLECTIBLE_DENSITY: 0.45, POWER_UP_DENSITY: 0.08, POWER_UP_INTERVAL: 35000 }
+        ]
+    }
+};
+
+// Water Pipeline power-up (water-pipeline.js)
+export const WATER_PIPELINE_CONFIG = {
+    LENGTH: 40, // World units of pipe ahead of the player; obstacles in its lane along it are cleared
+    BEHIND: 3, // Pipe carried on behind the player
+    RADIUS: 0.6, // Half-pipe radius
+    DROP_SPACING: 5, // World units between water drops laid along the pipe
+    FLOW_SPEED: 0.03, // Water texture scroll per tick
+    COLOR: 0x00aaff
+};
+
+// Base length of each power-up; durationKey in powerup-registry.js points here
 export const POWER_UP_DURATIONS = {
     INVINCIBILITY: 5000,      // 5 seconds
     HELICOPTER: 10000,        // 10 seconds
     SOLAR_BOOST: 8000,        // 8 seconds
     WIND_POWER: 15000,        // 15 seconds
-    WATER_SLIDE: 12000        // 12 seconds
+    WATER_SLIDE: 12000,       // 12 seconds
+    MAGNET: 10000             // 10 seconds
 };
 
 export const SCORING = {
-    OBSTACLE_PASSED: 15,
+    OBSTACLE_PASSED: 15, // Every obstacle that goes past without touching the player
+    NEAR_MISS: 50, // Bonus on top for a near miss (NEAR_MISS_CONFIG)
     BLUEPRINT: 50,
     WATER_DROP: 20,
     ENERGY_CELL: 30,
     POWER_UP: 100,
     AERIAL_STAR: 150,
     SOLAR_ORB: 120, // New: Slightly less than aerial stars since they're easier to get
+    REPAIR_KIT: 50,
     BASE_RATE: 0.15,
     SOLAR_BOOST_RATE: 0.2
 };
 
+// Near misses: dodging out of an obstacle's lane at the last moment, or jumping it with little room to spare
+export const NEAR_MISS_CONFIG = {
+    LANE_DISTANCE: 3, // Still in the obstacle's lane when it was this close (world units)...
+    JUMP_CLEARANCE: 0.3 // ...or cleared its top by less than this
+};
+
+// Score multiplier for pickups (blueprints, water drops, energy cells) and untouched obstacle
+// passes in a row. Missing a pickup or getting hit resets it. Times are ms of simulation time.
+export const COMBO_CONFIG = {
+    CHAIN_PER_STEP: 5, // Pickups/passes in a row per multiplier step...
+    MULTIPLIER_STEP: 0.5, // ...each adding this much (x1, x1.5, x2...)
+    MAX_MULTIPLIER: 4,
+    DECAY_TIME: 3000 // With no pickup or pass for this long, the multiplier drops a step
+};
+
+// Meta progression (upgrades.js): bolts are earned from the collectibles picked up in a run
+// (PER_ITEM, keyed by run stat) and spent in the shop on permanent upgrades
+export const CURRENCY_CONFIG = {
+    ICON: '🔩',
+    NAME: 'Bolts',
+    PER_ITEM: { blueprints: 3, waterDrops: 1, energyCells: 2 }
+};
+
+// Shop upgrades. COSTS is the price of each level; EFFECT is what each level adds.
+// POWER_UP upgrades lengthen that POWER_UP_DURATIONS entry (ms).
+export const UPGRADES = {
+    SHIELD_TIME: { LABEL: '🛡️ Hard Hat Shield', DESCRIPTION: '+1s shield', POWER_UP: 'INVINCIBILITY', EFFECT: 1000, COSTS: [40, 100, 200] },
+    HELICOPTER_TIME: { LABEL: '🚁 Helicopter Ride', DESCRIPTION: '+2s flight', POWER_UP: 'HELICOPTER', EFFECT: 2000, COSTS: [60, 150, 300] },
+    SOLAR_TIME: { LABEL: '🌟 Solar Power Boost', DESCRIPTION: '+2s boost', POWER_UP: 'SOLAR_BOOST', EFFECT: 2000, COSTS: [50, 120, 250] },
+    WIND_TIME: { LABEL: '💨 Wind Power', DESCRIPTION: '+3s double jump', POWER_UP: 'WIND_POWER', EFFECT: 3000, COSTS: [40, 100, 200] },
+    WATER_TIME: { LABEL: '🚰 Water Pipeline', DESCRIPTION: '+2s pipeline', POWER_UP: 'WATER_SLIDE', EFFECT: 2000, COSTS: [50, 120, 250] },
+    MAGNET_RADIUS: { LABEL: '🧲 Magnet Range', DESCRIPTION: '+1.5 magnet radius', EFFECT: 1.5, COSTS: [80, 160, 320] },
+    STARTING_SHIELD: { LABEL: '👷 Starting Hard Hat', DESCRIPTION: 'Start every run with a Hard Hat Shield', COSTS: [250] },
+    HEAD_START: { LABEL: '🚀 Head Start', DESCRIPTION: '+2s shielded sprint at the start', EFFECT: 2000, SPEED_MULTIPLIER: 2, COSTS: [100, 250, 500] }
+};
+
+// Achievements (achievements.js). An achievement unlocks once every GOALS counter reaches its
+// target within SCOPE while every FORBID counter is still 0 there. Scopes: 'run', 'ride' (one
+// helicopter ride; counts only while flying) and 'lifetime' (saved between visits).
+// Counters: 'distance' (world units, shown as metres), 'item:<collectible or power-up type>',
+// 'jumps', 'hits', 'nearMiss', 'obstaclesPassed' and 'runs' (finished runs)
+export const ACHIEVEMENTS = [
+    { ID: 'roadCrew', ICON: '🛣️', LABEL: 'Road Crew', DESCRIPTION: 'Run 500m in one run', SCOPE: 'run', GOALS: { distance: 500 } },
+    { ID: 'longHaul', ICON: '🚚', LABEL: 'Long Haul', DESCRIPTION: 'Run 2000m in one run', SCOPE: 'run', GOALS: { distance: 2000 } },
+    { ID: 'groundWork', ICON: '👟', LABEL: 'Ground Work', DESCRIPTION: 'Run 500m without jumping', SCOPE: 'run', GOALS: { distance: 500 }, FORBID: ['jumps'] },
+    { ID: 'safetyFirst', ICON: '🦺', LABEL: 'Safety First', DESCRIPTION: 'Run 1000m without getting hit', SCOPE: 'run', GOALS: { distance: 1000 }, FORBID: ['hits'] },
+    { ID: 'daredevil', ICON: '⚡', LABEL: 'Daredevil', DESCRIPTION: '10 near misses in one run', SCOPE: 'run', GOALS: { nearMiss: 10 } },
+    { ID: 'starCollector', ICON: '⭐', LABEL: 'Star Collector', DESCRIPTION: 'Collect 5 aerial stars in one helicopter ride', SCOPE: 'ride', GOALS: { 'item:aerialStar': 5 } },
+    { ID: 'frequentFlyer', ICON: '🚁', LABEL: 'Frequent Flyer', DESCRIPTION: 'Collect 10 Helicopter Rides', SCOPE: 'lifetime', GOALS: { 'item:helicopter': 10 } },
+    {
+        ID: 'fullToolkit', ICON: '🧰', LABEL: 'Full Toolkit', DESCRIPTION: 'Collect every kind of power-up', SCOPE: 'lifetime',
+        GOALS: { 'item:hardHat': 1, 'item:helicopter': 1, 'item:solarPower': 1, 'item:windPower': 1, 'item:waterPipeline': 1, 'item:magnet': 1 }
+    },
+    { ID: 'architect', ICON: '📐', LABEL: 'Architect', DESCRIPTION: 'Collect 100 blueprints', SCOPE: 'lifetime', GOALS: { 'item:blueprint': 100 } },
+    { ID: 'veteran', ICON: '🏅', LABEL: 'Veteran', DESCRIPTION: 'Finish 25 runs', SCOPE: 'lifetime', GOALS: { runs: 25 } }
+];
+
+// Missions (missions.js): ACTIVE_COUNT are offered at a time, in catalogue order. Progress
+// carries over between runs unless SINGLE_RUN; finishing one adds REWARD to the run's score.
+// Goal counters: 'item:<collectible type>', 'dodge:<obstacle type>' (passed without going
+// over it), 'nearMiss', 'distance' and 'flyDistance' (world units, shown as metres)
+export const MISSION_CONFIG = {
+    ACTIVE_COUNT: 3,
+    PROGRESS_TOASTS: 4 // Progress toasts per mission (every quarter)
+};
+
+export const MISSIONS = [
+    {
+        ID: 'waterTower',
+        LABEL: '🗼 Build a water tower',
+        REWARD: 500,
+        GOALS: [
+            { COUNTER: 'item:waterDrop', TARGET: 10, LABEL: 'Water drops' },
+            { COUNTER: 'item:blueprint', TARGET: 3, LABEL: 'Blueprints' }
+        ]
+    },
+    {
+        ID: 'coneSlalom',
+        LABEL: '🚧 Cone slalom',
+        REWARD: 400,
+        GOALS: [{ COUNTER: 'dodge:cone', TARGET: 20, LABEL: 'Cones passed without jumping' }]
+    },
+    {
+        ID: 'airlift',
+        LABEL: '🚁 Airlift',
+        REWARD: 600,
+        GOALS: [{ COUNTER: 'flyDistance', TARGET: 500, LABEL: 'Metres flown by helicopter' }]
+    },
+    {
+        ID: 'powerGrid',
+        LABEL: '⚡ Wire up the power grid',
+        REWARD: 500,
+        GOALS: [
+            { COUNTER: 'item:energyCell', TARGET: 15, LABEL: 'Energy cells' },
+            { COUNTER: 'item:blueprint', TARGET: 5, LABEL: 'Blueprints' }
+        ]
+    },
+    {
+        ID: 'rushHour',
+        LABEL: '🚦 Rush hour',
+        REWARD: 400,
+        SINGLE_RUN: true,
+        GOALS: [{ COUNTER: 'nearMiss', TARGET: 5, LABEL: 'Near misses in one run' }]
+    },
+    {
+        ID: 'roadSurvey',
+        LABEL: '🛣️ Survey the road',
+        REWARD: 800,
+        SINGLE_RUN: true,
+        GOALS: [{ COUNTER: 'distance', TARGET: 1500, LABEL: 'Metres in one run' }]
+    },
+    {
+        ID: 'waterWorks',
+        LABEL: '🚰 Build a water works',
+        REWARD: 1000,
+        GOALS: [
+            { COUNTER: 'item:waterDrop', TARGET: 25, LABEL: 'Water drops' },
+            { COUNTER: 'item:energyCell', TARGET: 10, LABEL: 'Energy cells' },
+            { COUNTER: 'item:blueprint', TARGET: 10, LABEL: 'Blueprints' }
+        ]
+    }
+];
+
+// Lives (DIFFICULTY_PRESETS LIVES). Times are ms of simulation time.
+export const HEALTH_CONFIG = {
+    INVULNERABILITY_TIME: 2000, // After a hit that isn't the last, obstacles pass through the player (who blinks)...
+    BLINK_INTERVAL: 120, // ...toggling visibility this often
+    HIT_SLOWDOWN: 0.6, // Speed multiplier right after the hit, easing back to full speed...
+    SLOWDOWN_TIME: 1500, // ...over this long
+    REPAIR_KIT_INTERVAL: 15000, // While a life is missing, a repair kit (+1 life) spawns this long after the hit or the last kit
+    REPAIR_KIT_DISTANCE: 40 // World units ahead of the player it spawns
+};
+
 export const PHYSICS = {
     MAGNET_RADIUS: 5,
-    MAGNET_PULL_SPEED: 0.2,
+    MAGNET_PULL_SPEED: 0.2, // Most a collectible is drawn along the track per tick (at the player)
+    MAGNET_LATERAL_EASE: 0.12, // Share of the gap to the player's lane closed per tick...
+    MAGNET_VERTICAL_EASE: 0.15, // ...and of the gap to the player's height (jumping or flying)
+    MAGNET_TARGET_HEIGHT: 0.5, // Collectibles are drawn to this far above the player's feet
+    MAGNET_RING_COLOR: 0xff55aa,
     FLYING_HEIGHT: 1.0, // Character flies around Y=1.0 based on console logs
     COLLISION_SHRINK: 0.1, // General shrink for X and Z axes
     COLLISION_SHRINK_Y: 0.0, // Specific shrink for Y axis (bottom of the player) - Set to 0 to minimize lifting
@@ -152,43 +417,75 @@ export const OBSTACLE_TYPES = {
         geometry: () => new THREE.CylinderGeometry(0.5, 0.5, 0.1, 32),
         color: COLORS.OBSTACLES.POTHOLE,
         yPos: 0.05,
-        description: 'Road damage that needs repair'
+        description: 'Road damage that needs repair',
+        jumpable: true // Low enough to jump; slidable ones can be slid under; everything else must be dodged
     },
     'constructionBarrier': {
         geometry: () => new THREE.BoxGeometry(1.5, 1, 0.3),
         color: COLORS.OBSTACLES.CONSTRUCTION_BARRIER,
         yPos: 0.5,
-        description: 'Construction zone barrier'
+        description: 'Construction zone barrier',
+        jumpable: false
     },
     'cone': {
         geometry: () => new THREE.ConeGeometry(0.3, 0.8, 32),
         color: COLORS.OBSTACLES.CONE,
         yPos: 0.4,
-        description: 'Traffic cone marking road work'
+        description: 'Traffic cone marking road work',
+        jumpable: false
     },
     'rubble': {
         geometry: () => new THREE.BoxGeometry(0.8, 0.4, 0.8),
         color: COLORS.OBSTACLES.RUBBLE,
         yPos: 0.2,
-        description: 'Construction debris'
+        description: 'Construction debris',
+        jumpable: true
     },
     'trafficBarrier': {
         geometry: () => new THREE.BoxGeometry(1.8, 0.8, 0.3),
         color: COLORS.OBSTACLES.TRAFFIC_BARRIER,
         yPos: 0.4,
-        description: 'Heavy traffic barrier'
+        description: 'Heavy traffic barrier',
+        jumpable: false
     },
     'floorHole': {
         geometry: () => new THREE.CylinderGeometry(0.6, 0.6, 0.05, 32),
         color: COLORS.OBSTACLES.FLOOR_HOLE,
         yPos: 0.05,
-        description: 'Dangerous floor opening'
+        description: 'Dangerous floor opening',
+        jumpable: true
+    },
+    // Overhead obstacles: the gap underneath only fits a sliding player, and they reach
+    // higher than a jump, so they must be slid under or dodged
+    'scaffoldingBeam': {
+        geometry: () => new THREE.BoxGeometry(1.6, 2.4, 0.4),
+        color: COLORS.OBSTACLES.SCAFFOLDING_BEAM,
+        yPos: 1.8,
+        description: 'Scaffolding deck spanning the lane',
+        jumpable: false,
+        slidable: true
+    },
+    'hangingSign': {
+        geometry: () => new THREE.BoxGeometry(1.4, 2.4, 0.1),
+        color: COLORS.OBSTACLES.HANGING_SIGN,
+        yPos: 1.8,
+        description: 'Road works sign hanging over the lane',
+        jumpable: false,
+        slidable: true
+    },
+    'barrierArm': {
+        geometry: () => new THREE.BoxGeometry(1.8, 2.4, 0.15),
+        color: COLORS.OBSTACLES.BARRIER_ARM,
+        yPos: 1.8,
+        description: 'Raised site-gate barrier arm',
+        jumpable: false,
+        slidable: true
     }
 };
 
+// Power-up pickups come from POWER_UP_REGISTRY (powerup-registry.js)
 export const COLLECTABLE_SPAWN_WEIGHTS = {
     REGULAR: ['blueprint', 'waterDrop', 'energyCell'],
-    POWER_UPS: ['hardHat', 'helicopter', 'solarPower', 'windPower', 'waterPipeline'],
     REGULAR_WEIGHT: 6, // Reduced from 15 to make power-ups more frequent
     POWER_UP_WEIGHT: 1
 };
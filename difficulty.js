@@ -0,0 +1,87 @@
+// difficulty.js
+// Difficulty director: turns the distance run into speed, spawn density and unlocks
+// using the stage tables in DIFFICULTY_PRESETS (constants.js)
+
+import { DIFFICULTY_PRESETS, DEFAULT_DIFFICULTY } from './constants.js';
+
+const lerp = (from, to, t) => from + (to - from) * t;
+
+/**
+ * Resolve a preset key, falling back to the default for unknown values
+ * @param {string} presetKey - e.g. 'EASY', 'NORMAL', 'HARD'
+ * @returns {string} - A key of DIFFICULTY_PRESETS
+ */
+export function resolveDifficulty(presetKey) {
+    return DIFFICULTY_PRESETS[presetKey] ? presetKey : DEFAULT_DIFFICULTY;
+}
+
+/**
+ * Difficulty settings at a distance into a run
+ * @param {string} presetKey - Key of DIFFICULTY_PRESETS
+ * @param {number} distance - World units run so far
+ * @returns {Object} - { speed, obstacleSpacing: { min, max }, obstacleDensity, obstacleTypes,
+ *                       chunkTier, collectibleDensity, powerUpDensity, powerUpInterval }
+ */
+export function getDifficultySettings(presetKey, distance) {
+    const stages = DIFFICULTY_PRESETS[resolveDifficulty(presetKey)].STAGES;
+
+    let stageIndex = 0;
+    while (stageIndex < stages.length - 1 && distance >= stages[stageIndex + 1].DISTANCE) {
+        stageIndex++;
+    }
+
+    const stage = stages[stageIndex];
+    const nextStage = stages[stageIndex + 1] || stage;
+    const span = nextStage.DISTANCE - stage.DISTANCE;
+    const t = span > 0 ? Math.min(Math.max((distance - stage.DISTANCE) / span, 0), 1) : 0;
+
+    // Types unlock cumulatively up to the current stage
+    const obstacleTypes = [];
+    for (let i = 0; i <= stageIndex; i++) {
+        obstacleTypes.push(...stages[i].UNLOCKS);
+    }
+
+    return {
+        speed: lerp(stage.SPEED, nextStage.SPEED, t),
+        obstacleSpacing: {
+            min: lerp(stage.OBSTACLE_SPACING.MIN, nextStage.OBSTACLE_SPACING.MIN, t),
+            max: lerp(stage.OBSTACLE_SPACING.MAX, nextStage.OBSTACLE_SPACING.MAX, t)
+        },
+        obstacleDensity: lerp(stage.OBSTACLE_DENSITY, nextStage.OBSTACLE_DENSITY, t),
+        obstacleTypes: obstacleTypes,
+        chunkTier: stage.CHUNK_TIER,
+        collectibleDensity: lerp(stage.COLLECTIBLE_DENSITY, nextStage.COLLECTIBLE_DENSITY, t),
+        powerUpDensity: lerp(stage.POWER_UP_DENSITY, nextStage.POWER_UP_DENSITY, t),
+        powerUpInterval: lerp(stage.POWER_UP_INTERVAL, nextStage.POWER_UP_INTERVAL, t)
+    };
+}
+
+export class DifficultyDirector {
+    constructor(presetKey = DEFAULT_DIFFICULTY) {
+        this.setPreset(presetKey);
+    }
+
+    setPreset(presetKey) {
+        this.presetKey = resolveDifficulty(presetKey);
+        this.update(0);
+    }
+
+    getPreset() {
+        return this.presetKey;
+    }
+
+    // Hits a run on this preset survives, and the most lives a player can have
+    getLives() {
+        return DIFFICULTY_PRESETS[this.presetKey].LIVES;
+    }
+
+    // Recompute settings for the distance run; called once per simulation tick
+    update(distance) {
+        this.settings = getDifficultySettings(this.presetKey, distance);
+        return this.settings;
+    }
+
+    getSettings() {
+        return this.settings;
+    }
+}
@@ -1,10 +1,12 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { LANES, COLORS, SPAWN_CONFIG } from './constants.js';
+import { SeededRandom } from './random.js';
 
 export class DirectModelEnvironment {
-    constructor(scene) {
+    constructor(scene, rng = new SeededRandom()) {
         this.scene = scene;
+        this.rng = rng; // Seeded stream for building/tree spawning
         this.ground = null;
         this.activeBuildings = [];
         this.streetDecorations = [];
@@ -365,7 +367,7 @@ export class DirectModelEnvironment {
         const building = template.clone();
         
         // RESTORED: Consistent scale with slight variation for realism
-        const scale = 0.005 + Math.random() * 0.003; // 0.005 to 0.008 (good size)
+        const scale = 0.005 + this.rng.next() * 0.003; // 0.005 to 0.008 (good size)
         building.scale.setScalar(scale);
         
         building.rotation.y = 0; // Face forward
@@ -378,10 +380,10 @@ export class DirectModelEnvironment {
         // RESTORED: Consistent positioning for urban canyon effect (closer to street)
         let xOffset;
         if (side === 'left') {
-            xOffset = -7 - Math.random() * 3; // X = -7 to -10 (closer than before)
+            xOffset = -7 - this.rng.next() * 3; // X = -7 to -10 (closer than before)
             xOffset -= (size.x / 2);
         } else {
-            xOffset = 7 + Math.random() * 3;  // X = +7 to +10 (closer than before)
+            xOffset = 7 + this.rng.next() * 3;  // X = +7 to +10 (closer than before)
             xOffset += (size.x / 2);
         }
         
@@ -393,7 +395,7 @@ export class DirectModelEnvironment {
         building.position.set(xOffset, groundY, zPosition);
         
         // Minimal rotation for variety
-        building.rotation.y += (Math.random() - 0.5) * 0.2; // Less rotation
+        building.rotation.y += (this.rng.next() - 0.5) * 0.2; // Less rotation
         
         this.scene.add(building);
         this.activeBuildings.push({
@@ -429,14 +431,14 @@ export class DirectModelEnvironment {
         const tree = this.treeTemplate.clone();
         
         // FIXED: Much smaller tree size (was 0.015-0.025, now 0.004-0.006)
-        const scale = 0.004 + Math.random() * 0.002; // 0.004 to 0.006 (small but visible)
+        const scale = 0.004 + this.rng.next() * 0.002; // 0.004 to 0.006 (small but visible)
         tree.scale.setScalar(scale);
         
         const bbox = new THREE.Box3().setFromObject(tree);
         const groundY = -bbox.min.y;
         
         // RESTORED: Position trees well outside road area
-        const side = Math.random() < 0.5 ? 'left' : 'right';
+        const side = this.rng.chance(0.5) ? 'left' : 'right';
         let xOffset;
         
         if (side === 'left') {
@@ -458,15 +460,15 @@ export class DirectModelEnvironment {
     }
 
     createFallbackBuilding(zPosition, side) {
-        const height = 4 + Math.random() * 4;
-        const width = 2 + Math.random() * 1.5;
-        const depth = 2 + Math.random() * 1.5;
+        const height = 4 + this.rng.next() * 4;
+        const width = 2 + this.rng.next() * 1.5;
+        const depth = 2 + this.rng.next() * 1.5;
         
         const geometry = new THREE.BoxGeometry(width, height, depth);
         
         // RESTORED: Use shared materials for fallback buildings to prevent memory leaks
         const colors = [0xFF6347, 0x0047AB, 0xFFD700, 0x663399, 0x228B22];
-        const colorIndex = Math.floor(Math.random() * colors.length);
+        const colorIndex = this.rng.int(colors.length);
         const materialKey = `fallback_${colorIndex}`;
         
         if (!this.sharedMaterials[materialKey]) {
@@ -484,10 +486,10 @@ export class DirectModelEnvironment {
         // Consistent positioning
         let xOffset;
         if (side === 'left') {
-            xOffset = -8 - Math.random() * 3;
+            xOffset = -8 - this.rng.next() * 3;
             xOffset -= (width / 2);
         } else {
-            xOffset = 8 + Math.random() * 3;
+            xOffset = 8 + this.rng.next() * 3;
             xOffset += (width / 2);
         }
         
@@ -527,7 +529,7 @@ export class DirectModelEnvironment {
 
     // RESTORED: Robust continuous spawning with better tracking
     continuousUrbanSpawning() {
-        if (!this.gameController || !this.gameController.isGameActive()) {
+        if (!this.gameController || !this.gameController.isGameActive() || this.gameController.isPaused()) {
             setTimeout(() => this.continuousUrbanSpawning(), 1000);
             return;
         }
@@ -568,7 +570,7 @@ export class DirectModelEnvironment {
         }
 
         // Spawn small trees occasionally
-        if (Math.random() < 0.015) { // 1.5% chance - occasional but not rare
+        if (this.rng.chance(0.015)) { // 1.5% chance - occasional but not rare
             this.spawnSmallUrbanTree(playerZ - 120);
         }
 
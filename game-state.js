@@ -6,9 +6,13 @@ export const STATES = {
     SPLASH: 'splash',         // Initial loading/splash screen
     START_MENU: 'startMenu',  // Main menu screen
     PLAYING: 'playing',       // Active gameplay
+    PAUSED: 'paused',         // Gameplay frozen with pause overlay
     GAME_OVER: 'gameOver',    // Game over screen with score display
     USER_INFO: 'userInfo',    // Collecting user info for leaderboard
-    LEADERBOARD: 'leaderboard' // Leaderboard display
+    LEADERBOARD: 'leaderboard', // Leaderboard display
+    SETTINGS: 'settings',     // Control rebinding screen
+    SHOP: 'shop',             // Upgrade shop
+    ACHIEVEMENTS: 'achievements' // Achievements gallery
 };
 
 export class GameStateManager {
@@ -27,6 +31,7 @@ export class GameStateManager {
             blueprints: 0,
             waterDrops: 0,
             energyCells: 0,
+            bestMultiplier: 1,
             date: null
         };
         
@@ -89,6 +94,23 @@ export class GameStateManager {
         this.changeState(STATES.PLAYING);
     }
     
+    // Freeze an active run
+    pauseGame() {
+        if (!this.isState(STATES.PLAYING)) return;
+        this.changeState(STATES.PAUSED);
+    }
+    
+    // Continue a paused run (PAUSED -> PLAYING does not start a new run)
+    resumeGame() {
+        if (!this.isState(STATES.PAUSED)) return;
+        this.changeState(STATES.PLAYING);
+    }
+    
+    // Check if the current run is paused
+    isPaused() {
+        return this.isState(STATES.PAUSED);
+    }
+    
     // End the game and show game over screen
     endGame(score, collectableStats) {
         // Store score data
@@ -96,6 +118,7 @@ export class GameStateManager {
         this.playerData.blueprints = collectableStats.blueprints;
         this.playerData.waterDrops = collectableStats.waterDrops;
         this.playerData.energyCells = collectableStats.energyCells;
+        this.playerData.bestMultiplier = collectableStats.bestMultiplier;
         this.playerData.date = new Date();
         
         this.changeState(STATES.GAME_OVER);
@@ -117,6 +140,21 @@ export class GameStateManager {
         this.changeState(STATES.LEADERBOARD);
     }
     
+    // Show control rebinding screen
+    showSettings() {
+        this.changeState(STATES.SETTINGS);
+    }
+    
+    // Show upgrade shop
+    showShop() {
+        this.changeState(STATES.SHOP);
+    }
+    
+    // Show achievements gallery
+    showAchievements() {
+        this.changeState(STATES.ACHIEVEMENTS);
+    }
+    
     // Return to start menu
     returnToMenu() {
         this.changeState(STATES.START_MENU);
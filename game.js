@@ -1,14 +1,24 @@
 import * as THREE from 'three';
-import { Player } from './player.js';
 import { DirectModelEnvironment } from './direct-model-environment.js';
-import { ObstacleManager } from './obstacles.js';
-import { CollectableManager } from './collectables.js';
-import { PowerUpManager } from './powerups.js';
 import { UIManager } from './ui.js';
 import { InputManager } from './input.js';
-import { GAME_CONFIG, SCORING, SPAWN_CONFIG, PHYSICS } from './constants.js';
+import { GAME_CONFIG, DIFFICULTY_PRESETS, TOUCH_LAYOUTS, DEFAULT_TOUCH_LAYOUT, CONTROL_ACTIONS, CURRENCY_CONFIG } from './constants.js';
 import { GameStateManager, STATES } from './game-state.js';
 import { LeaderboardManager } from './leaderboard.js';
+import { GameSimulation } from './simulation.js';
+import { createRandomSeed } from './random.js';
+import { resolveDifficulty } from './difficulty.js';
+import { ReplayPlayer, parseReplay, downloadReplay } from './replay.js';
+import { ControlBindings, formatKey, formatButton } from './bindings.js';
+import { MissionManager } from './missions.js';
+import { UpgradeManager } from './upgrades.js';
+import { AchievementTracker } from './achievements.js';
+
+// HUD popup text for the simulation's near-miss kinds
+const NEAR_MISS_LABELS = {
+    lane: '⚡ Near miss!',
+    jump: '🦘 Close jump!'
+};
 
 export class Game {
     constructor() {
@@ -17,12 +27,11 @@ export class Game {
         this.camera = null;
         this.renderer = null;
         
-        // Game managers
-        this.player = null;
+        // Game rules live in the simulation; everything here renders it or feeds it input
+        this.simulation = null;
+        
+        // Presentation managers
         this.environment = null;
-        this.obstacleManager = null;
-        this.collectableManager = null;
-        this.powerUpManager = null;
         this.uiManager = null;
         this.inputManager = null;
 
@@ -30,23 +39,41 @@ export class Game {
         this.stateManager = new GameStateManager();
         this.leaderboardManager = new LeaderboardManager();
         
+        // A run is reproducible from its seed. ?seed=<value> pins the seed for every run.
+        this.fixedSeed = new URLSearchParams(window.location.search).get('seed');
+        
+        // Difficulty preset picked on the start menu, remembered between visits
+        this.difficultyStorageKey = 'infraRunnerDifficulty';
+        this.difficulty = this.loadDifficulty();
+        
+        // Touch layout (swipe only, or swipe plus on-screen buttons), also remembered
+        this.touchLayoutStorageKey = 'infraRunnerTouchLayout';
+        this.touchLayout = this.loadTouchLayout();
+        
+        // Keyboard and gamepad bindings, rebindable on the Controls screen and saved to localStorage
+        this.bindings = new ControlBindings();
+        
+        // Missions carry over between runs (saved to localStorage); missionDistance is how far
+        // into the current run they have been told about
+        this.missionManager = new MissionManager();
+        this.missionDistance = 0;
+        
+        // Bolts and shop upgrades, saved to localStorage; live runs start with the upgrades bought
+        this.upgradeManager = new UpgradeManager();
+        
+        // Achievements follow the simulation's events (live runs only) and are saved to localStorage
+        this.achievementTracker = new AchievementTracker();
+        
+        // Replays: every run is recorded by the simulation; a loaded replay drives the player instead of live input
+        this.replayPlayer = null;
+        this.lastReplay = null;
+        
         // Performance optimization: Cache playing state to avoid checking every frame
         this.isCurrentlyPlaying = false;
         
-        // Game state
-        this.gameActive = true;
-        this.gameSpeed = { value: GAME_CONFIG.INITIAL_SPEED }; // Using object for reference
-        
-        // CRITICAL FIX: Improved spawning system to handle dual tracking
-        this.improvedSpawningFix = {
-            reset: () => {
-                // Reset any additional spawning state if needed
-                if (this.collectableManager && this.collectableManager.spawnHistory) {
-                    this.collectableManager.spawnHistory.lastPowerUpDistance = -100;
-                    console.log('✅ Improved spawning system reset - dual tracking synchronized');
-                }
-            }
-        };
+        // Fixed-timestep clock: real frame time is accumulated and consumed in GAME_CONFIG.FIXED_TIMESTEP ticks
+        this.lastFrameTime = null;
+        this.timeAccumulator = 0;
         
         this.init();
     }
@@ -56,7 +83,8 @@ export class Game {
         await this.createManagers(); // Await manager creation
         this.setupInputManager();
         this.setupStateHandlers();
-        this.startSpawning();
+        this.setupSimulationObservers();
+        this.environment.startSpawning();
         this.animate();
 
         // Kick off splash -> menu flow
@@ -81,32 +109,21 @@ export class Game {
     }
 
     async createManagers() { // Make createManagers async
-        // Create managers in dependency order
-        this.environment = new DirectModelEnvironment(this.scene);
-        this.player = new Player(this.scene);
-        await this.player.initialize(); // Await player initialization
-
-        this.obstacleManager = new ObstacleManager(this.scene);
-        this.collectableManager = new CollectableManager(this.scene);
-        this.powerUpManager = new PowerUpManager(this.scene, this.player);
+        this.simulation = new GameSimulation(this.scene, { seed: this.fixedSeed ?? createRandomSeed() });
+        await this.simulation.init(); // Await player initialization
+
+        // Decorative environment draws from the simulation's seed so a replay looks the same
+        this.environment = new DirectModelEnvironment(this.scene, this.simulation.rng.stream('environment'));
         this.uiManager = new UIManager();
         
-        // Set game controller references so managers can access current game state
+        // Set game controller reference so the environment can access current game state
         this.environment.setGameController(this);
-        this.obstacleManager.setGameController(this);
-        this.collectableManager.setGameController(this);
-        
-        // Set game speed reference for power-ups
-        this.powerUpManager.setGameSpeedReference(this.gameSpeed);
-        
-        // Set collectable manager reference for power-ups (to remove aerial stars)
-        this.powerUpManager.setCollectableManager(this.collectableManager);
     }
 
     setupInputManager() {
-        this.inputManager = new InputManager(this.player, this);
-        // Optional: Enable mobile controls
-        this.inputManager.setupMobileControls();
+        this.inputManager = new InputManager(this.simulation.player, this, this.bindings);
+        // Swipes on the canvas; on-screen buttons depend on the touch layout setting
+        this.inputManager.setupMobileControls(this.renderer.domElement, this.touchLayout);
     }
 
     // ------------------------------------------------------------------
@@ -115,7 +132,7 @@ export class Game {
 
     setupStateHandlers() {
         // React to state changes
-        this.stateManager.onStateChange((state) => {
+        this.stateManager.onStateChange((state, previousState) => {
             // Performance optimization: Cache playing state
             this.isCurrentlyPlaying = (state === STATES.PLAYING);
             
@@ -127,16 +144,28 @@ export class Game {
                     this.uiManager.hideSplash();
                     this.uiManager.hideLeaderboard();
                     this.uiManager.hideUserInfo();
+                    this.uiManager.hidePauseMenu();
+                    this.uiManager.hideSettings();
+                    this.uiManager.hideShop();
+                    this.uiManager.hideAchievements();
+                    this.missionManager.save();
+                    this.achievementTracker.save();
+                    this.uiManager.renderMissions(this.missionManager.getActiveMissions());
                     this.uiManager.showStartMenu();
                     // Pause game logic
-                    this.gameActive = false;
+                    this.simulation.stop();
                     break;
                 case STATES.PLAYING:
                     this.uiManager.hideStartMenu();
                     this.uiManager.hideLeaderboard();
                     this.uiManager.hideUserInfo();
-                    this.restartGame(); // Ensure fresh run
-                    this.gameActive = true;
+                    this.uiManager.hidePauseMenu();
+                    if (previousState !== STATES.PAUSED) {
+                        this.restartGame(); // Ensure fresh run
+                    }
+                    break;
+                case STATES.PAUSED:
+                    this.uiManager.showPauseMenu();
                     break;
                 case STATES.USER_INFO:
                     this.uiManager.showUserInfo();
@@ -147,8 +176,28 @@ export class Game {
                     this.uiManager.hideUserInfo();
                     this.uiManager.showLeaderboard();
                     // Stop gameplay until menu
-                    this.gameActive = false;
+                    this.simulation.stop();
+                    break;
+                case STATES.SETTINGS:
+                    this.uiManager.hideStartMenu();
+                    this.refreshBindings();
+                    this.uiManager.showSettings();
                     break;
+                case STATES.SHOP:
+                    this.uiManager.hideStartMenu();
+                    this.refreshShop();
+                    this.uiManager.showShop();
+                    break;
+                case STATES.ACHIEVEMENTS:
+                    this.uiManager.hideStartMenu();
+                    this.uiManager.renderAchievements(this.achievementTracker.getGallery());
+                    this.uiManager.showAchievements();
+                    break;
+            }
+            
+            // Leaving the Controls screen mid-rebind drops the pending capture
+            if (previousState === STATES.SETTINGS) {
+                this.inputManager.cancelCapture();
             }
         });
 
@@ -156,297 +205,394 @@ export class Game {
         this.uiManager.onStartButtonClicked = () => this.handleStartGame();
         this.uiManager.onUserInfoSubmitted   = (name) => this.handleUserInfo(name);
         this.uiManager.onLeaderboardBack     = () => this.stateManager.returnToMenu();
+        this.uiManager.onResumeClicked       = () => this.stateManager.resumeGame();
+        this.uiManager.onRestartClicked      = () => this.handleRestartFromPause();
+        this.uiManager.onQuitToMenuClicked   = () => this.stateManager.returnToMenu();
+        this.uiManager.onReplayFileLoaded    = (text) => this.handleReplayFile(text);
+        this.uiManager.onDownloadReplayClicked = () => this.handleDownloadReplay();
+        this.uiManager.onDifficultySelected  = (difficulty) => this.setDifficulty(difficulty);
+        this.uiManager.onTouchLayoutSelected = (layout) => this.setTouchLayout(layout);
+        this.uiManager.onSettingsClicked     = () => this.stateManager.showSettings();
+        this.uiManager.onSettingsBack        = () => this.stateManager.returnToMenu();
+        this.uiManager.onBindingSlotClicked  = (action, kind, slot) => this.beginRebind(action, kind, slot);
+        this.uiManager.onResetBindingsClicked = () => this.resetBindings();
+        this.uiManager.onShopClicked         = () => this.stateManager.showShop();
+        this.uiManager.onShopBack            = () => this.stateManager.returnToMenu();
+        this.uiManager.onUpgradeClicked      = (id) => this.buyUpgrade(id);
+        this.uiManager.onAchievementsClicked = () => this.stateManager.showAchievements();
+        this.uiManager.onAchievementsBack    = () => this.stateManager.returnToMenu();
+        
+        this.uiManager.createDifficultySelector(DIFFICULTY_PRESETS, this.difficulty);
+        this.uiManager.createTouchLayoutSelector(TOUCH_LAYOUTS, this.touchLayout);
+        this.uiManager.createBindingsTable(CONTROL_ACTIONS);
+        this.refreshBindings();
+    }
+
+    // Rendering and HUD follow the simulation through its events
+    setupSimulationObservers() {
+        // Achievements keep their own counters; replays don't unlock anything
+        this.achievementTracker.attach(this.simulation, () => !this.replayPlayer);
+        this.achievementTracker.onUnlock = (achievement) => this.uiManager.showAchievementToast(achievement);
+        
+        this.simulation.on('runStarted', ({ seed, difficulty }) => {
+            console.log(`🎲 Run seed: ${seed} (${difficulty})`);
+        });
+        this.simulation.on('tick', ({ deltaTime }) => {
+            this.updateCamera();
+            this.updateEnvironment();
+            this.uiManager.updatePowerUpTimers(deltaTime);
+            this.uiManager.setComboDecay(this.simulation.getComboDecay());
+            this.updateMissionDistance();
+        });
+        this.simulation.on('scoreChanged', (stats) => this.uiManager.setStats(stats));
+        this.simulation.on('livesChanged', ({ lives, maxLives }) => this.uiManager.setLives(lives, maxLives));
+        this.simulation.on('comboChanged', ({ chain, multiplier }) => this.uiManager.setCombo(chain, multiplier));
+        this.simulation.on('itemCollected', ({ type }) => this.recordMission(`item:${type}`));
+        this.simulation.on('obstaclePassed', ({ type, nearMiss, jumped, points }) => {
+            if (nearMiss) {
+                this.uiManager.showScorePopup(`${NEAR_MISS_LABELS[nearMiss]} +${points}`);
+                this.recordMission('nearMiss');
+            }
+            if (!jumped) {
+                this.recordMission(`dodge:${type}`);
+            }
+        });
+        this.simulation.on('powerUpActivated', ({ type, icon, label, durationSeconds, stacks }) => {
+            this.uiManager.addPowerUpToUI(type, icon, label, durationSeconds, stacks);
+        });
+        this.simulation.on('gameOver', ({ score, stats, ticks }) => this.gameOver(score, stats, ticks));
+    }
+
+    // Missions follow live runs only: their progress lives outside the run, so a replay would
+    // count it again. (Rewards are kept in the replay, which pays them back on the same ticks.)
+    recordMission(counter, amount = 1) {
+        if (this.replayPlayer) return;
+        
+        const { completed, progressed } = this.missionManager.record(counter, amount);
+        progressed.forEach(mission => this.uiManager.showMissionToast(mission, false));
+        completed.forEach(mission => {
+            this.simulation.addMissionReward(mission.reward);
+            this.uiManager.showMissionToast(mission, true);
+        });
+    }
+
+    updateMissionDistance() {
+        const distance = this.simulation.getDistance();
+        const distanceRun = distance - this.missionDistance;
+        this.missionDistance = distance;
+        
+        this.recordMission('distance', distanceRun);
+        if (this.simulation.powerUpManager.getFlyingStatus()) {
+            this.recordMission('flyDistance', distanceRun);
+        }
     }
 
     handleStartGame() {
+        this.replayPlayer = null; // Live run
         this.stateManager.startGame(); // Triggers PLAYING state
     }
 
-    handleUserInfo(name) {
-        // Save info into state manager
-        this.stateManager.saveUserInfo(name);
-        // Persist to leaderboard
-        this.leaderboardManager.addScore(this.stateManager.getPlayerData());
-        // Show leaderboard
-        this.stateManager.showLeaderboard();
+    handleReplayFile(text) {
+        let replay;
+        try {
+            replay = parseReplay(text);
+        } catch (error) {
+            console.error('Could not load replay:', error.message);
+            this.uiManager.showReplayError(`Could not load replay: ${error.message}`);
+            return;
+        }
+        console.log(`▶️ Playing replay: seed ${replay.seed}, ${replay.inputs.length} inputs, score ${replay.score}`);
+        this.replayPlayer = new ReplayPlayer(replay);
+        this.stateManager.startGame();
     }
 
-    getGameSpeed() {
-        return this.gameSpeed.value;
+    handleDownloadReplay() {
+        if (this.lastReplay) {
+            downloadReplay(this.lastReplay);
+        }
     }
 
-    // Public methods for managers to access current game state
-    // getPlayerPosition() is already defined below
-    // isGameActive() is already defined below
-
-    startSpawning() {
-        this.obstacleManager.startSpawning();
-        this.environment.startSpawning();
-        this.collectableManager.startSpawning();
+    isReplaying() {
+        return this.replayPlayer !== null;
     }
 
-    updateGameLogic() {
-        // Performance optimization: Use cached playing state instead of checking every frame
-        if (!this.isCurrentlyPlaying || !this.gameActive) return;
-        
-        // Pause most game logic if player is stumbling
-        if (this.player.isStumbling) {
-            // Only update player position to handle stumble animation, but pause everything else
-            this.player.updatePosition(
-                this.powerUpManager.getFlyingStatus(),
-                this.powerUpManager.getWaterSlideObjects(),
-                this.gameSpeed.value
-            );
-            return; // Skip all other game logic during stumble
+    setDifficulty(difficulty) {
+        this.difficulty = resolveDifficulty(difficulty);
+        this.uiManager.setSelectedDifficulty(this.difficulty);
+        try {
+            localStorage.setItem(this.difficultyStorageKey, this.difficulty);
+        } catch (error) {
+            console.error('Error saving difficulty:', error);
         }
+    }
 
-        // Update player position
-        this.player.updatePosition(
-            this.powerUpManager.getFlyingStatus(),
-            this.powerUpManager.getWaterSlideObjects(),
-            this.gameSpeed.value  // Pass game speed for animation state management
-        );
-
-        // Update all objects
-        this.updateAllObjects();
-
-        // Check collisions
-        this.checkCollisions();
-
-        // NEW: Fair power-up spawning system (like Subway Surfers)
-        if (this.collectableManager.shouldSpawnPowerUp()) {
-            const playerZ = this.player.getPosition().z;
-            const obstacles = this.obstacleManager.getObstacles();
-            this.collectableManager.createPowerUp(playerZ, obstacles);
-            this.collectableManager.markPowerUpSpawned();
+    loadDifficulty() {
+        try {
+            return resolveDifficulty(localStorage.getItem(this.difficultyStorageKey));
+        } catch (error) {
+            console.error('Error loading difficulty:', error);
+            return resolveDifficulty(null);
         }
+    }
 
-        // Handle aerial collectibles when flying
-        if (this.powerUpManager.getFlyingStatus() && Math.random() < SPAWN_CONFIG.AERIAL_SPAWN_CHANCE) {
-            this.collectableManager.createAerialCollectable(this.player.getPosition());
+    setTouchLayout(layout) {
+        this.touchLayout = TOUCH_LAYOUTS[layout] ? layout : DEFAULT_TOUCH_LAYOUT;
+        this.inputManager.setTouchLayout(this.touchLayout);
+        this.uiManager.setSelectedTouchLayout(this.touchLayout);
+        try {
+            localStorage.setItem(this.touchLayoutStorageKey, this.touchLayout);
+        } catch (error) {
+            console.error('Error saving touch layout:', error);
         }
-        
-        // Handle solar orbs when solar boost is active
-        if (this.powerUpManager.getSolarBoostStatus() && Math.random() < SPAWN_CONFIG.SOLAR_ORB_SPAWN_CHANCE) {
-            this.collectableManager.createSolarOrb(this.player.getPosition());
+    }
+
+    loadTouchLayout() {
+        try {
+            const layout = localStorage.getItem(this.touchLayoutStorageKey);
+            return TOUCH_LAYOUTS[layout] ? layout : DEFAULT_TOUCH_LAYOUT;
+        } catch (error) {
+            console.error('Error loading touch layout:', error);
+            return DEFAULT_TOUCH_LAYOUT;
         }
+    }
 
-        // Update camera
-        this.updateCamera();
+    // Wait for the key or button that goes into a binding slot
+    beginRebind(action, kind, slot) {
+        this.uiManager.setBindingCapture(action, kind, slot);
+        this.uiManager.setSettingsStatus(kind === 'keys' ?
+            'Press a key… (Esc cancels, Backspace clears the slot)' :
+            'Press a gamepad button… (Esc cancels, Backspace clears the slot)');
+        this.inputManager.captureNextInput(kind, (result) => this.finishRebind(action, kind, slot, result));
+    }
 
-        // Update game speed and score
-        this.updateGameSpeed();
-        
-        // Update power-up timers
-        const frameTime = 1000 / 60; // Assuming 60 FPS
-        this.powerUpManager.updateTimers(frameTime);
-        
-        // Update UI timers
-        this.uiManager.updatePowerUpTimers();
-
-        // Apply magnet effect if solar boost is active
-        if (this.powerUpManager.getSolarBoostStatus()) {
-            // Performance: Only log occasionally to avoid console spam
-            if (!this.magnetLogCounter) this.magnetLogCounter = 0;
-            if (this.magnetLogCounter++ % 300 === 0) {
-                console.log('✨ DEBUG: Applying magnet effect - Solar boost is active');
+    // result is { value }, { clear: true } or null when cancelled
+    finishRebind(action, kind, slot, result) {
+        const messages = [];
+        if (result && result.clear) {
+            this.bindings.clear(action, kind, slot);
+        } else if (result) {
+            const takenFrom = this.bindings.bind(action, kind, slot, result.value);
+            if (takenFrom) {
+                // Conflict: a key/button drives one action only, so it moves here
+                const name = kind === 'keys' ? formatKey(result.value) : formatButton(result.value);
+                messages.push(`${name} moved from ${CONTROL_ACTIONS[takenFrom].LABEL} to ${CONTROL_ACTIONS[action].LABEL}`);
             }
-            this.collectableManager.applyMagnetEffect(
-                this.player.getPosition(),
-                PHYSICS.MAGNET_RADIUS,
-                PHYSICS.MAGNET_PULL_SPEED
-            );
         }
+        
+        const withoutKeys = this.bindings.getActionsWithoutKeys();
+        if (withoutKeys.length > 0) {
+            messages.push(`⚠️ No key for: ${withoutKeys.map(unbound => CONTROL_ACTIONS[unbound].LABEL).join(', ')}`);
+        }
+        this.refreshBindings(messages.join(' - '));
     }
 
-    updateAllObjects() {
-        // Update obstacles and gain score for passed obstacles
-        const obstacleScore = this.obstacleManager.updateObstacles(
-            this.gameSpeed.value,
-            this.camera.position.z,
-            this.gameActive
-        );
-        this.uiManager.updateScore(obstacleScore);
+    resetBindings() {
+        this.inputManager.cancelCapture();
+        this.bindings.resetToDefaults();
+        this.refreshBindings('Controls reset to defaults');
+    }
 
-        // Update buildings
-        this.environment.updateBuildings(this.gameSpeed.value, this.camera.position.z);
+    // Controls screen, in-page instructions and game over hint all show the active bindings
+    refreshBindings(status = '') {
+        this.uiManager.renderBindings(this.bindings);
+        this.uiManager.setSettingsStatus(status);
+        this.uiManager.renderControlsList(this.bindings);
+    }
 
-        // Update collectables
-        this.collectableManager.updateCollectables(this.gameSpeed.value, this.camera.position.z);
+    getDifficultyForNextRun() {
+        return this.replayPlayer ? this.replayPlayer.difficulty : this.difficulty;
+    }
 
-        // Update environment
-        this.environment.updateGround(this.camera.position.z);
+    getUpgradesForNextRun() {
+        return this.replayPlayer ? this.replayPlayer.upgrades : this.upgradeManager.getLevels();
+    }
 
-        // Update water slide if active
-        this.powerUpManager.updateWaterSlidePosition(this.gameSpeed.value);
+    buyUpgrade(id) {
+        if (this.upgradeManager.buy(id)) {
+            this.refreshShop();
+        }
     }
 
-    checkCollisions() {
-        const playerBox = this.player.getCollisionBox();
+    refreshShop() {
+        this.uiManager.renderShop(this.upgradeManager.getBalance(), this.upgradeManager.getShopItems());
+    }
 
-        // Check obstacle collisions (if not invincible, not stumbling, and not flying)
-        if (!this.powerUpManager.getInvincibilityStatus() && !this.player.isStumbling && !this.powerUpManager.getFlyingStatus()) {
-            const collision = this.obstacleManager.checkCollisions(
-                playerBox,
-                this.powerUpManager.getWaterSlideObjects(),
-                this.powerUpManager.getWaterSlideStatus()
-            );
-            
-            if (collision) {
-                // Performance: Reduce collision logging
-                console.log('*** COLLISION DETECTED ***');
-                
-                // Try to trigger stumble animation with game over callback
-                const stumbleTriggered = this.player.triggerStumble(() => this.gameOver());
-                
-                if (!stumbleTriggered) {
-                    // If stumble animation not available, immediate game over
-                    this.gameOver();
-                    return;
-                }
-                return;
-            }
+    handleRestartFromPause() {
+        // Reset the run while still paused, then resume into it without a second restart
+        this.restartGame();
+        this.stateManager.resumeGame();
+    }
+
+    pauseGame() {
+        this.stateManager.pauseGame();
+    }
+
+    togglePause() {
+        if (this.stateManager.isPaused()) {
+            this.stateManager.resumeGame();
+        } else {
+            this.stateManager.pauseGame();
         }
+    }
 
-        // Check collectable collisions
-        const collectedItems = this.collectableManager.checkCollisions(playerBox);
-        this.handleCollectedItems(collectedItems);
+    isPaused() {
+        return this.stateManager.isPaused();
     }
 
-    handleCollectedItems(collectedItems) {
-        for (const itemType of collectedItems) {
-            switch (itemType) {
-                // Regular collectibles
-                case 'blueprint':
-                    this.uiManager.updateCollectables('blueprint', SCORING.BLUEPRINT);
-                    break;
-                case 'waterDrop':
-                    this.uiManager.updateCollectables('waterDrop', SCORING.WATER_DROP);
-                    break;
-                case 'energyCell':
-                    this.uiManager.updateCollectables('energyCell', SCORING.ENERGY_CELL);
-                    break;
-                case 'aerialStar':
-                    this.uiManager.updateScore(SCORING.AERIAL_STAR);
-                    break;
-                case 'solarOrb':
-                    this.uiManager.updateScore(SCORING.SOLAR_ORB);
-                    break;
-                    
-                // Power-ups
-                case 'hardHat':
-                    this.uiManager.updateScore(SCORING.POWER_UP);
-                    this.powerUpManager.activateInvincibility();
-                    this.uiManager.addPowerUpToUI('🛡️ Hard Hat Shield', 5);
-                    this.collectableManager.markPowerUpSpawned(); // Reset fair spawning timer
-                    break;
-                case 'helicopter':
-                    this.uiManager.updateScore(SCORING.POWER_UP);
-                    this.powerUpManager.activateHelicopter();
-                    this.uiManager.addPowerUpToUI('🚁 Helicopter Ride', 10);
-                    this.collectableManager.markPowerUpSpawned(); // Reset fair spawning timer
-                    break;
-                case 'solarPower':
-                    this.uiManager.updateScore(SCORING.POWER_UP);
-                    this.powerUpManager.activateSolarPower();
-                    this.uiManager.addPowerUpToUI('🌟 Solar Power Boost', 8);
-                    this.collectableManager.markPowerUpSpawned(); // Reset fair spawning timer
-                    break;
-                case 'windPower':
-                    this.uiManager.updateScore(SCORING.POWER_UP);
-                    this.powerUpManager.activateWindPower();
-                    this.uiManager.addPowerUpToUI('💨 Wind Power', 15);
-                    this.collectableManager.markPowerUpSpawned(); // Reset fair spawning timer
-                    break;
-                case 'waterPipeline':
-                    this.uiManager.updateScore(SCORING.POWER_UP);
-                    this.powerUpManager.activateWaterSlide();
-                    this.uiManager.addPowerUpToUI('🚰 Water Pipeline', 12);
-                    this.collectableManager.markPowerUpSpawned(); // Reset fair spawning timer
-                    break;
-            }
+    // Gamepad navigation of menu screens; returns true if a menu used the control
+    handleMenuInput(control) {
+        if (this.isCurrentlyPlaying) return false;
+        
+        const paused = this.stateManager.isPaused();
+        switch (control) {
+            case 'up':
+            case 'left':
+                this.uiManager.moveMenuFocus(-1);
+                break;
+            case 'down':
+            case 'right':
+                this.uiManager.moveMenuFocus(1);
+                break;
+            case 'confirm':
+                this.uiManager.activateMenuFocus();
+                break;
+            case 'start':
+                if (paused) {
+                    this.stateManager.resumeGame();
+                } else {
+                    this.uiManager.activateMenuFocus();
+                }
+                break;
+            case 'back':
+                if (paused) {
+                    this.stateManager.resumeGame();
+                } else if (this.stateManager.isState(STATES.LEADERBOARD) || this.stateManager.isState(STATES.SETTINGS) ||
+                    this.stateManager.isState(STATES.SHOP) || this.stateManager.isState(STATES.ACHIEVEMENTS)) {
+                    this.stateManager.returnToMenu();
+                }
+                break;
         }
+        return true;
+    }
+
+    handleUserInfo(name) {
+        // Save info into state manager
+        this.stateManager.saveUserInfo(name);
+        // Persist to leaderboard
+        this.leaderboardManager.addScore(this.stateManager.getPlayerData());
+        // Show leaderboard
+        this.stateManager.showLeaderboard();
+    }
+
+    getGameSpeed() {
+        return this.simulation.getGameSpeed();
+    }
+
+    getSimulationTime() {
+        return this.simulation.getSimulationTime();
+    }
+
+    getSeedForNextRun() {
+        if (this.replayPlayer) return this.replayPlayer.seed;
+        return this.fixedSeed ?? createRandomSeed();
+    }
+
+    // Seed the current run was generated from
+    getRunSeed() {
+        return this.simulation.getRunSeed();
+    }
+
+    // Advance one simulation tick; deltaTime is always GAME_CONFIG.FIXED_TIMESTEP (ms)
+    updateGameLogic(deltaTime) {
+        // Performance optimization: Use cached playing state instead of checking every frame
+        if (!this.isCurrentlyPlaying || !this.simulation.isGameActive()) return;
+        
+        // This tick's player actions come from live input or the loaded replay; mission
+        // rewards only need passing in on playback (live runs pay them as missions complete)
+        const tick = this.simulation.getTick();
+        const actions = this.replayPlayer ?
+            this.replayPlayer.getActionsForTick(tick) :
+            this.inputManager.drainActions();
+        const rewards = this.replayPlayer ? this.replayPlayer.getRewardsForTick(tick) : [];
+        this.simulation.step(deltaTime, actions, rewards);
     }
 
     updateCamera() {
         // Smoothly update camera's x position to follow the player
-        const cameraTargetX = this.player.getPosition().x;
+        const cameraTargetX = this.simulation.player.getPosition().x;
         this.camera.position.x += (cameraTargetX - this.camera.position.x) * GAME_CONFIG.CAMERA_FOLLOW_SPEED;
 
         // Enhanced camera Y tracking - different behavior for flying vs. ground
         let cameraTargetY;
-        if (this.powerUpManager && this.powerUpManager.getFlyingStatus()) {
+        if (this.simulation.powerUpManager.getFlyingStatus()) {
             // During flying: higher camera position with smoother tracking
-            cameraTargetY = this.player.getPosition().y + 1.0; // Closer to flying player
+            cameraTargetY = this.simulation.player.getPosition().y + 1.0; // Closer to flying player
             this.camera.position.y += (cameraTargetY - this.camera.position.y) * (GAME_CONFIG.CAMERA_FOLLOW_SPEED * 0.8); // Smoother for flying
         } else {
             // Normal ground tracking
-            cameraTargetY = this.player.getPosition().y + 1.5;
+            cameraTargetY = this.simulation.player.getPosition().y + 1.5;
             this.camera.position.y += (cameraTargetY - this.camera.position.y) * GAME_CONFIG.CAMERA_FOLLOW_SPEED;
         }
 
-        // Move camera forward
-        this.camera.position.z -= this.gameSpeed.value;
-        this.player.setPosition(
-            this.player.getPosition().x,
-            this.player.getPosition().y,
-            this.camera.position.z - 5
-        );
+        // Camera rides the simulation's track position
+        this.camera.position.z = this.simulation.getTrackZ();
     }
 
-    updateGameSpeed() {
-        // Increase game speed gradually
-        this.gameSpeed.value += GAME_CONFIG.SPEED_INCREMENT;
+    updateEnvironment() {
+        const gameSpeed = this.simulation.getGameSpeed();
+        const trackZ = this.simulation.getTrackZ();
 
-        
-        // Update score based on solar boost status
-        if (this.powerUpManager.getSolarBoostStatus()) {
-            this.uiManager.updateScore(SCORING.SOLAR_BOOST_RATE);
-        } else {
-            this.uiManager.updateScore(SCORING.BASE_RATE);
-        }
+        // Update buildings
+        this.environment.updateBuildings(gameSpeed, trackZ);
+
+        // Update environment
+        this.environment.updateGround(trackZ);
     }
 
-    gameOver() {
-        this.gameActive = false;
-        // Capture stats & hand off to state manager
-        const finalScore = this.uiManager.getScore();
-        const stats = this.uiManager.getCollectableStats();
+    gameOver(finalScore, stats, ticks) {
+        // Hand final stats off to state manager
         this.stateManager.endGame(finalScore, stats);
+        
+        if (this.replayPlayer) {
+            // Replays don't go on the leaderboard
+            console.log(`⏹️ Replay finished at tick ${ticks} with score ${Math.floor(finalScore)}`);
+            this.replayPlayer = null;
+            this.stateManager.returnToMenu();
+            return;
+        }
+        
+        this.lastReplay = this.simulation.getReplay();
+        this.missionManager.save();
+        const earned = this.upgradeManager.earnFromRun(stats);
+        if (earned > 0) {
+            this.uiManager.showScorePopup(`+${earned} ${CURRENCY_CONFIG.ICON}`);
+        }
         // Directly transition to user info capture
         this.stateManager.showUserInfoScreen();
     }
 
     restartGame() {
-        // Reset game state
-        this.gameActive = true;
-        this.gameSpeed.value = GAME_CONFIG.INITIAL_SPEED;
+        this.timeAccumulator = 0;
+        
+        // Reset presentation before the simulation starts emitting for the new run
+        this.uiManager.reset();
+        this.inputManager.reset();
+        this.missionDistance = 0;
+        if (!this.replayPlayer) {
+            this.missionManager.startRun();
+        }
+        
+        // Reset the rules and reseed every stream (including the environment's) for the new run
+        this.simulation.startRun(this.getSeedForNextRun(), this.getDifficultyForNextRun(), this.getUpgradesForNextRun());
         
         // Reset camera position
-        this.camera.position.z = 5;
+        this.camera.position.z = this.simulation.getTrackZ();
         this.camera.position.x = 0;
         this.camera.position.y = 2;
         
-        // Reset all managers
-        this.player.reset();
+        // Environment regenerates from its freshly reseeded stream
         this.environment.reset();
-        this.obstacleManager.reset();
-        this.collectableManager.reset();
-        this.powerUpManager.reset();
-        this.uiManager.reset();
-        this.inputManager.reset();
-        
-        // CRITICAL FIX: Reset improved spawning system that was blocking power-ups
-        if (this.improvedSpawningFix) {
-            this.improvedSpawningFix.reset();
-            console.log('✅ Reset improved spawning system - power-ups will now spawn after restart');
-        }
-        
-        // Restart spawning
-        this.startSpawning();
-
-        // Ensure score counters start at zero
-        this.uiManager.updateScoreDisplay && this.uiManager.updateScoreDisplay();
+        this.environment.startSpawning();
     }
 
     handleWindowResize() {
@@ -457,23 +603,43 @@ export class Game {
 
     // Public methods for managers to access current game state
     isGameActive() {
-        return this.gameActive;
+        return this.simulation.isGameActive();
     }
 
     getPlayerPosition() {
-        return this.player.getPosition();
+        return this.simulation.getPlayerPosition();
     }
 
     getObstacles() {
-        return this.obstacleManager.getObstacles();
+        return this.simulation.getObstacles();
     }
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
+    animate(timestamp = performance.now()) {
+        requestAnimationFrame((time) => this.animate(time));
 
-        this.updateGameLogic();
+        this.inputManager.update();
+        this.advanceSimulation(timestamp);
         this.renderer.render(this.scene, this.camera);
     }
+
+    // Run as many fixed ticks as the elapsed real time covers, so gameplay speed
+    // is the same on 60Hz, 120Hz and slow displays
+    advanceSimulation(timestamp) {
+        if (this.lastFrameTime === null) {
+            this.lastFrameTime = timestamp;
+            return;
+        }
+
+        const maxFrameTime = GAME_CONFIG.FIXED_TIMESTEP * GAME_CONFIG.MAX_STEPS_PER_FRAME;
+        const frameTime = Math.min(timestamp - this.lastFrameTime, maxFrameTime);
+        this.lastFrameTime = timestamp;
+        this.timeAccumulator += frameTime;
+
+        while (this.timeAccumulator >= GAME_CONFIG.FIXED_TIMESTEP) {
+            this.updateGameLogic(GAME_CONFIG.FIXED_TIMESTEP);
+            this.timeAccumulator -= GAME_CONFIG.FIXED_TIMESTEP;
+        }
+    }
 }
 
 // Initialize the game when the page loads
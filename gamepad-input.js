@@ -0,0 +1,81 @@
+// gamepad-input.js
+// Polls the Gamepad API and turns button/stick state into edge-triggered presses.
+//
+// The browser has no gamepad button events, so poll() runs once per animation frame.
+// An input fires once when it goes down and must be released before it fires
+// again, like the keyboard latches in InputManager. Every connected pad drives the
+// same inputs, so a visitor can pick up whichever pad is on the table.
+//
+// Presses are reported raw - { button: index } or { stick: 'left' | 'right' | 'up' | 'down' } -
+// and InputManager maps them to menu controls or bound actions.
+
+import { GAMEPAD_CONFIG } from './constants.js';
+
+const STICK_DIRECTIONS = ['left', 'right', 'up', 'down'];
+
+export class GamepadInput {
+    /**
+     * @param {Function} onPress - callback(input), input is { button } or { stick }
+     * @param {Object} config - Deadzones, defaults to GAMEPAD_CONFIG
+     */
+    constructor(onPress, config = GAMEPAD_CONFIG) {
+        this.onPress = onPress;
+        this.config = config;
+
+        // Latches: inputs currently held down ('button:0', 'stick:left', ...)
+        this.held = new Set();
+
+        window.addEventListener('gamepadconnected', (event) => {
+            console.log(`🎮 Gamepad connected: ${event.gamepad.id}`);
+        });
+        window.addEventListener('gamepaddisconnected', (event) => {
+            console.log(`🎮 Gamepad disconnected: ${event.gamepad.id}`);
+        });
+    }
+
+    poll() {
+        if (typeof navigator.getGamepads !== 'function') return;
+
+        const pads = Array.from(navigator.getGamepads()).filter(Boolean);
+        if (pads.length === 0) {
+            this.held.clear();
+            return;
+        }
+
+        const buttonCount = Math.max(...pads.map(pad => pad.buttons.length));
+        for (let index = 0; index < buttonCount; index++) {
+            const down = pads.some(pad => pad.buttons[index] && pad.buttons[index].pressed);
+            this.updateLatch(`button:${index}`, down, !down, { button: index });
+        }
+
+        // A stick direction only unlatches once it is back near the centre, so a stick
+        // hovering around the deadzone can't fire twice
+        for (const direction of STICK_DIRECTIONS) {
+            const values = pads.map(pad => this.getStickValue(pad, direction));
+            const down = values.some(value => value > this.config.STICK_DEADZONE);
+            const released = values.every(value => value < this.config.STICK_RELEASE);
+            this.updateLatch(`stick:${direction}`, down, released, { stick: direction });
+        }
+    }
+
+    updateLatch(id, down, released, input) {
+        if (down && !this.held.has(id)) {
+            this.held.add(id);
+            this.onPress(input);
+        } else if (released) {
+            this.held.delete(id);
+        }
+    }
+
+    // How far the left stick points toward a direction (0-1)
+    getStickValue(pad, direction) {
+        const [x = 0, y = 0] = pad.axes;
+        switch (direction) {
+            case 'left': return -x;
+            case 'right': return x;
+            case 'up': return -y;
+            case 'down': return y;
+            default: return 0;
+        }
+    }
+}
@@ -0,0 +1,139 @@
+// headless.js
+// Run the game rules without a renderer or DOM, e.g. from Node for CI balance checks.
+// Needs 'three' resolvable as a bare import (npm install), then:
+//
+//   import { runHeadlessBatch } from './headless.js';
+//   console.log(await runHeadlessBatch([1, 2, 3], { maxTicks: 3600 }));
+//
+// Headless runs skip GLB loading, so every object uses its fallback geometry and
+// collision box. The player has no stumble animation, so a hit goes straight to
+// losing a life (and the last life ends the run).
+
+import * as THREE from 'three';
+import { readFile } from 'node:fs/promises';
+import { GameSimulation } from './simulation.js';
+import { GAME_CONFIG, LANES, CHUNK_CONFIG } from './constants.js';
+import { parseChunkLibrary } from './chunks.js';
+
+// How far ahead (world units) the dodge policy looks for obstacles
+const DODGE_LOOKAHEAD = 6;
+// Ticks a lane change needs before the player is clear of the lane it is crossing
+const CROSSING_TICKS = 8;
+// Obstacles still overlap the player until they are this far behind
+const OBSTACLE_HALF_DEPTH = 0.8;
+// Ticks ahead of an overhead obstacle to start sliding (leaves time to fast-fall from a jump)
+const SLIDE_LEAD_TICKS = 12;
+
+// Input policies: (simulation) => actions for this tick
+export const HEADLESS_POLICIES = {
+    // Never touch the controls
+    idle: () => [],
+
+    // Leave a lane with an obstacle that must be dodged; jump jumpable ones at the top of the
+    // arc and slide under overhead ones
+    dodge: (simulation) => {
+        const player = simulation.player;
+        const obstacleManager = simulation.obstacleManager;
+        const playerZ = player.getPosition().z;
+        const obstaclesAhead = (lane, distance, behind = 0) => simulation.getObstacles().filter(obstacle => {
+            const distanceAhead = playerZ - obstacle.mesh.position.z;
+            return obstacle.lane === lane && distanceAhead > -behind && distanceAhead < distance;
+        });
+        const mustDodge = (lane) => obstaclesAhead(lane, DODGE_LOOKAHEAD)
+            .some(obstacle => !obstacleManager.isClearable(obstacle.type));
+
+        if (mustDodge(player.lane)) {
+            // Head for the nearest open lane, one lane per tick
+            const openLanes = [LANES.LEFT, LANES.CENTER, LANES.RIGHT].filter(lane => !mustDodge(lane));
+            if (openLanes.length === 0) return [];
+            const target = openLanes.reduce((best, lane) =>
+                Math.abs(lane - player.lane) < Math.abs(best - player.lane) ? lane : best);
+            const nextLane = target < player.lane ? player.lane - 1 : player.lane + 1;
+
+            // Wait rather than swerve into something passing through the next lane
+            const crossingDistance = simulation.getGameSpeed() * CROSSING_TICKS;
+            if (obstaclesAhead(nextLane, crossingDistance, OBSTACLE_HALF_DEPTH).length > 0) return [];
+            return [nextLane < player.lane ? 'moveLeft' : 'moveRight'];
+        }
+
+        // Sliding mid-jump drops straight down first, so this goes before the in-air check.
+        // Slide again (restarting the timer) if the current slide would end underneath.
+        const slideDistance = simulation.getGameSpeed() * SLIDE_LEAD_TICKS;
+        const slideTicksLeft = player.isSliding ? player.slideTimeRemaining / GAME_CONFIG.FIXED_TIMESTEP : 0;
+        if (slideTicksLeft < 2 * SLIDE_LEAD_TICKS && obstaclesAhead(player.lane, slideDistance)
+            .some(obstacle => obstacleManager.isSlidable(obstacle.type))) {
+            return ['slide'];
+        }
+
+        // Lane changes work mid-air, but there is no second jump without Wind Power
+        if (player.isJumping) return [];
+
+        // Take off half a jump's distance early so the apex is over the obstacle
+        const airTicks = 2 * GAME_CONFIG.INITIAL_JUMP_VELOCITY / -GAME_CONFIG.GRAVITY;
+        const takeOffDistance = simulation.getGameSpeed() * airTicks / 2;
+        return obstaclesAhead(player.lane, takeOffDistance)
+            .some(obstacle => obstacleManager.isJumpable(obstacle.type)) ? ['jump'] : [];
+    }
+};
+
+/**
+ * Create a simulation that runs without WebGL, the DOM or model loading
+ * @returns {Promise<GameSimulation>} - Initialised simulation, ready for startRun()
+ */
+export async function createHeadlessSimulation() {
+    const libraryUrl = new URL(CHUNK_CONFIG.LIBRARY_PATH, import.meta.url);
+    const chunkLibrary = parseChunkLibrary(JSON.parse(await readFile(libraryUrl, 'utf8')));
+    const simulation = new GameSimulation(new THREE.Scene(), { headless: true, chunkLibrary });
+    await simulation.init();
+    return simulation;
+}
+
+/**
+ * Play one run to game over or maxTicks
+ * @param {GameSimulation} simulation - Headless simulation (reused between runs)
+ * @param {number|string} seed - Run seed
+ * @param {Object} options - { maxTicks, policy, difficulty, upgrades } (upgrades: shop levels, see upgrades.js)
+ * @returns {Object} - Run summary
+ */
+export function playHeadlessRun(simulation, seed, { maxTicks = 60 * 60 * 3, policy = HEADLESS_POLICIES.dodge, difficulty, upgrades } = {}) {
+    let gameOver = null;
+    const onGameOver = (result) => { gameOver = result; };
+    simulation.on('gameOver', onGameOver);
+
+    simulation.startRun(seed, difficulty, upgrades);
+    while (simulation.isGameActive() && simulation.getTick() < maxTicks) {
+        simulation.step(GAME_CONFIG.FIXED_TIMESTEP, policy(simulation));
+    }
+    simulation.stop();
+    simulation.off('gameOver', onGameOver);
+
+    return {
+        seed: simulation.getRunSeed(),
+        difficulty: simulation.getDifficulty(),
+        crashed: gameOver !== null,
+        ticks: simulation.getTick(),
+        distance: simulation.getDistance(),
+        score: Math.floor(simulation.getScore()),
+        livesLeft: simulation.getLives(),
+        ...simulation.getCollectableStats()
+    };
+}
+
+/**
+ * Play a run per seed and summarise them, e.g. to compare spawn tuning between commits
+ * @param {Array<number|string>} seeds - One run per seed
+ * @param {Object} options - { maxTicks, policy, difficulty, upgrades }
+ * @returns {Promise<Object>} - { runs, crashRate, meanScore, meanDistance }
+ */
+export async function runHeadlessBatch(seeds, options = {}) {
+    const simulation = await createHeadlessSimulation();
+    const runs = seeds.map(seed => playHeadlessRun(simulation, seed, options));
+    const mean = (key) => runs.reduce((sum, run) => sum + run[key], 0) / Math.max(runs.length, 1);
+
+    return {
+        runs,
+        crashRate: runs.filter(run => run.crashed).length / Math.max(runs.length, 1),
+        meanScore: mean('score'),
+        meanDistance: mean('distance')
+    };
+}
@@ -1,12 +1,50 @@
+import { TOUCH_LAYOUTS, CONTROL_ACTIONS, GAMEPAD_CONFIG } from './constants.js';
+import { SwipeGestureRecognizer } from './swipe-gestures.js';
+import { GamepadInput } from './gamepad-input.js';
+
+// Swipe direction -> player action
+const SWIPE_ACTIONS = {
+    left: 'moveLeft',
+    right: 'moveRight',
+    up: 'jump',
+    down: 'slide'
+};
+
+// Control action (see CONTROL_ACTIONS) -> player action for the simulation
+const PLAYER_ACTIONS = {
+    MOVE_LEFT: 'moveLeft',
+    MOVE_RIGHT: 'moveRight',
+    JUMP: 'jump',
+    SLIDE: 'slide'
+};
+
+// The left stick isn't rebindable: it always steers, jumps and slides
+const STICK_ACTIONS = {
+    left: 'MOVE_LEFT',
+    right: 'MOVE_RIGHT',
+    up: 'JUMP',
+    down: 'SLIDE'
+};
+
 export class InputManager {
-    constructor(player, gameController) {
+    constructor(player, gameController, bindings) {
         this.player = player;
         this.gameController = gameController;
-        this.keys = {
-            left: false,
-            right: false,
-            jump: false
-        };
+        this.bindings = bindings; // ControlBindings: keys/buttons -> control actions
+        this.keys = this.createKeyLatches(); // Per control action: bound key held down
+        
+        // Set while the controls screen waits for a key or button to bind: { kind, callback }
+        this.capture = null;
+        
+        // Player actions waiting to be applied at the start of the next simulation tick
+        this.pendingActions = [];
+        
+        // Touch: swipe recognizer on the canvas plus optional on-screen buttons
+        this.swipeRecognizer = null;
+        this.mobileControlsElement = null;
+        
+        // Gamepads are polled from update() every frame
+        this.gamepad = new GamepadInput((input) => this.onGamepadPress(input));
         
         this.setupEventListeners();
     }
@@ -14,65 +52,144 @@ export class InputManager {
     setupEventListeners() {
         document.addEventListener('keydown', (event) => this.onKeyDown(event));
         document.addEventListener('keyup', (event) => this.onKeyUp(event));
+        document.addEventListener('visibilitychange', () => this.onVisibilityChange());
         window.addEventListener('resize', () => this.onWindowResize(), false);
     }
 
+    createKeyLatches() {
+        return Object.fromEntries(Object.keys(CONTROL_ACTIONS).map(action => [action, false]));
+    }
+
     onKeyDown(event) {
-        // Prevent default behavior for game keys
-        if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'Space', 'KeyR'].includes(event.code)) {
+        // The controls screen is waiting for a key to bind
+        if (this.capture) {
             event.preventDefault();
+            this.onCaptureKey(event.code);
+            return;
         }
+        
+        // Typing a name shouldn't steer, pause or restart
+        if (this.isTextEntry(event.target)) return;
+        
+        const action = this.bindings.getActionForKey(event.code);
+        if (!action) return;
+        
+        // Prevent default behavior (scrolling) for bound keys
+        event.preventDefault();
+        
+        // Holding a key doesn't repeat the action
+        if (this.keys[action]) return;
+        this.keys[action] = true;
+        this.performAction(action);
+    }
+
+    // Carry out a control action from any device
+    performAction(action) {
+        switch (action) {
+            case 'PAUSE':
+                this.gameController.togglePause();
+                return;
+            case 'RESTART':
+                if (!this.gameController.isGameActive()) {
+                    this.gameController.restartGame();
+                }
+                return;
+        }
+        
+        // Only process game controls if game is active and running
+        if (!this.gameController.isGameActive() || this.gameController.isPaused()) return;
+        this.queueAction(PLAYER_ACTIONS[action]);
+    }
 
-        // Handle restart
-        if (event.code === 'KeyR' && !this.gameController.isGameActive()) {
-            this.gameController.restartGame();
+    isTextEntry(target) {
+        return Boolean(target) && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA');
+    }
+
+    // Called once per animation frame
+    update() {
+        this.gamepad.poll();
+    }
+
+    // input is { button: index } or { stick: direction } from GamepadInput
+    onGamepadPress(input) {
+        if (this.capture) {
+            if (this.capture.kind === 'buttons' && input.button !== undefined) {
+                this.finishCapture({ value: input.button });
+            }
             return;
         }
+        
+        // Menu screens (start, pause, name entry, leaderboard, controls) take gamepad input first
+        if (this.gameController.handleMenuInput(this.getMenuControl(input))) return;
+        
+        const action = input.stick ?
+            STICK_ACTIONS[input.stick] :
+            this.bindings.getActionForButton(input.button);
+        if (action) {
+            this.performAction(action);
+        }
+    }
 
-        // Only process game controls if game is active
-        if (!this.gameController.isGameActive()) return;
+    // Fixed menu meaning of a gamepad input: 'confirm', 'back', 'start', 'up', 'down', 'left', 'right'
+    getMenuControl(input) {
+        if (input.stick) return input.stick;
+        const entry = Object.entries(GAMEPAD_CONFIG.MENU_BUTTONS)
+            .find(([, buttons]) => buttons.includes(input.button));
+        return entry ? entry[0].toLowerCase() : null;
+    }
 
-        switch (event.code) {
-            case 'ArrowLeft':
-            case 'KeyA':
-                if (!this.keys.left) {
-                    this.keys.left = true;
-                    this.player.moveLeft();
-                }
-                break;
-            case 'ArrowRight':
-            case 'KeyD':
-                if (!this.keys.right) {
-                    this.keys.right = true;
-                    this.player.moveRight();
-                }
-                break;
-            case 'Space':
-            case 'ArrowUp':
-            case 'KeyW':
-                if (!this.keys.jump) {
-                    this.keys.jump = true;
-                    this.player.jump();
-                }
-                break;
+    // Hand the next key ('keys') or gamepad button ('buttons') to callback instead of the game.
+    // callback gets { value }, { clear: true } (Backspace/Delete) or null (Esc cancels).
+    captureNextInput(kind, callback) {
+        this.capture = { kind: kind, callback: callback };
+    }
+
+    onCaptureKey(code) {
+        if (code === 'Escape') {
+            this.finishCapture(null);
+        } else if (code === 'Backspace' || code === 'Delete') {
+            this.finishCapture({ clear: true });
+        } else if (this.capture.kind === 'keys') {
+            this.finishCapture({ value: code });
         }
     }
 
+    finishCapture(result) {
+        const callback = this.capture.callback;
+        this.capture = null;
+        callback(result);
+    }
+
+    onSwipe(direction) {
+        if (!this.gameController.isGameActive() || this.gameController.isPaused()) return;
+        this.queueAction(SWIPE_ACTIONS[direction]);
+    }
+
+    // Queue a player action; the game applies queued actions at the next tick so they
+    // can be recorded and replayed deterministically. Live input is ignored during a replay.
+    queueAction(action) {
+        if (this.gameController.isReplaying()) return;
+        this.pendingActions.push(action);
+    }
+
+    // Hand over (and clear) the actions queued since the last tick
+    drainActions() {
+        const actions = this.pendingActions;
+        this.pendingActions = [];
+        return actions;
+    }
+
     onKeyUp(event) {
-        switch (event.code) {
-            case 'ArrowLeft':
-            case 'KeyA':
-                this.keys.left = false;
-                break;
-            case 'ArrowRight':
-            case 'KeyD':
-                this.keys.right = false;
-                break;
-            case 'Space':
-            case 'ArrowUp':
-            case 'KeyW':
-                this.keys.jump = false;
-                break;
+        const action = this.bindings.getActionForKey(event.code);
+        if (action) {
+            this.keys[action] = false;
+        }
+    }
+
+    onVisibilityChange() {
+        // Auto-pause when the tab is hidden so the run isn't lost in the background
+        if (document.hidden) {
+            this.gameController.pauseGame();
         }
     }
 
@@ -80,19 +197,25 @@ export class InputManager {
         this.gameController.handleWindowResize();
     }
 
-    // Touch/Mobile support (optional)
-    setupMobileControls() {
-        // Create virtual buttons for mobile
+    // Touch support: swipes on the game surface, plus on-screen buttons if the layout asks for them
+    setupMobileControls(surface, layout) {
+        this.swipeRecognizer = new SwipeGestureRecognizer(surface, (direction) => this.onSwipe(direction));
         this.createMobileUI();
+        this.setTouchLayout(layout);
     }
 
-    createMobileUI() {
-        // Check if device is mobile
-        const isMobile = /Android|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-        
-        if (!isMobile) return;
+    // layout is a key of TOUCH_LAYOUTS
+    setTouchLayout(layout) {
+        const showButtons = TOUCH_LAYOUTS[layout] ? TOUCH_LAYOUTS[layout].SHOW_BUTTONS : false;
+        if (this.mobileControlsElement) {
+            this.mobileControlsElement.style.display = showButtons ? 'flex' : 'none';
+        }
+    }
 
-        // Create control container
+    // The on-screen buttons go through performAction like keys and pads, so taps on a paused
+    // run or a menu are dropped
+    createMobileUI() {
+        // Create control container (hidden until a layout with buttons is picked)
         const controlContainer = document.createElement('div');
         controlContainer.style.position = 'absolute';
         controlContainer.style.bottom = '20px';
@@ -103,18 +226,24 @@ export class InputManager {
         controlContainer.style.zIndex = '1000';
 
         // Create left button
-        const leftButton = this.createMobileButton('◀', () => this.player.moveLeft());
+        const leftButton = this.createMobileButton('◀', () => this.performAction('MOVE_LEFT'));
         
         // Create jump button
-        const jumpButton = this.createMobileButton('▲', () => this.player.jump());
+        const jumpButton = this.createMobileButton('▲', () => this.performAction('JUMP'));
+        
+        // Create slide button
+        const slideButton = this.createMobileButton('▼', () => this.performAction('SLIDE'));
         
         // Create right button
-        const rightButton = this.createMobileButton('▶', () => this.player.moveRight());
+        const rightButton = this.createMobileButton('▶', () => this.performAction('MOVE_RIGHT'));
 
         controlContainer.appendChild(leftButton);
         controlContainer.appendChild(jumpButton);
+        controlContainer.appendChild(slideButton);
         controlContainer.appendChild(rightButton);
+        controlContainer.style.display = 'none';
         document.body.appendChild(controlContainer);
+        this.mobileControlsElement = controlContainer;
     }
 
     createMobileButton(text, action) {
@@ -163,10 +292,10 @@ export class InputManager {
 
     // Reset input state
     reset() {
-        this.keys = {
-            left: false,
-            right: false,
-            jump: false
-        };
+        this.keys = this.createKeyLatches();
+        this.pendingActions = [];
+        if (this.swipeRecognizer) {
+            this.swipeRecognizer.reset();
+        }
     }
 }
\ No newline at end of file
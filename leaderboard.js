@@ -43,6 +43,7 @@ export class LeaderboardManager {
             blueprints: playerData.blueprints || 0,
             waterDrops: playerData.waterDrops || 0,
             energyCells: playerData.energyCells || 0,
+            bestMultiplier: playerData.bestMultiplier || 1,
             date: playerData.date ? new Date(playerData.date) : new Date()
         };
 
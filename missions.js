@@ -0,0 +1,169 @@
+// missions.js
+// Infrastructure missions: goals built from run events (pickups, dodged obstacles, distance
+// flown...) from the MISSIONS catalogue in constants.js. MISSION_CONFIG.ACTIVE_COUNT are
+// offered at a time; a finished one is replaced by the next in the catalogue, and once
+// every mission is done the catalogue starts over. Progress is saved to localStorage.
+//
+// The game feeds counters in with record(); missions don't know about the simulation.
+
+import { MISSIONS, MISSION_CONFIG } from './constants.js';
+
+const MISSIONS_VERSION = 1;
+
+/**
+ * Share of a mission done, averaged over its goals
+ * @param {Object} mission - Entry of MISSIONS
+ * @param {Object} progress - Counter -> amount so far
+ * @returns {number} - 0-1
+ */
+export function getMissionFraction(mission, progress) {
+    const total = mission.GOALS.reduce((sum, goal) =>
+        sum + Math.min((progress[goal.COUNTER] || 0) / goal.TARGET, 1), 0);
+    return total / mission.GOALS.length;
+}
+
+export class MissionManager {
+    constructor(storageKey = 'infraRunnerMissions', catalogue = MISSIONS, config = MISSION_CONFIG) {
+        this.storageKey = storageKey;
+        this.catalogue = catalogue;
+        this.config = config;
+
+        // { active: [id], completed: [id], progress: { id: { counter: amount } } }
+        this.state = this.load();
+        this.fillActive();
+    }
+
+    // Single-run missions start from zero every run
+    startRun() {
+        for (const mission of this.getActive()) {
+            if (mission.SINGLE_RUN) {
+                this.state.progress[mission.ID] = {};
+            }
+        }
+    }
+
+    /**
+     * Add to a counter for every active mission with a goal on it
+     * @param {string} counter - e.g. 'item:waterDrop', 'flyDistance'
+     * @param {number} amount - How much to add
+     * @returns {Object} - { completed: [mission], progressed: [mission] } as getActiveMissions()
+     *                     describes them; progressed only lists missions that passed a toast step
+     */
+    record(counter, amount = 1) {
+        const result = { completed: [], progressed: [] };
+        if (amount <= 0) return result;
+
+        for (const mission of this.getActive()) {
+            if (!mission.GOALS.some(goal => goal.COUNTER === counter)) continue;
+
+            const progress = this.state.progress[mission.ID];
+            const before = getMissionFraction(mission, progress);
+            progress[counter] = (progress[counter] || 0) + amount;
+            const after = getMissionFraction(mission, progress);
+
+            if (after >= 1) {
+                result.completed.push(this.describe(mission));
+            } else if (Math.floor(after * this.config.PROGRESS_TOASTS) > Math.floor(before * this.config.PROGRESS_TOASTS)) {
+                result.progressed.push(this.describe(mission));
+            }
+        }
+
+        if (result.completed.length > 0) {
+            for (const mission of result.completed) {
+                this.complete(mission.id);
+            }
+            this.save();
+        }
+        return result;
+    }
+
+    complete(id) {
+        console.log(`🏗️ Mission complete: ${id}`);
+        this.state.active = this.state.active.filter(activeId => activeId !== id);
+        this.state.completed.push(id);
+        delete this.state.progress[id];
+        this.fillActive();
+    }
+
+    // Top the active list up from the catalogue, starting it over once everything is done
+    fillActive() {
+        const isFree = (mission) => !this.state.active.includes(mission.ID) &&
+            !this.state.completed.includes(mission.ID);
+
+        while (this.state.active.length < Math.min(this.config.ACTIVE_COUNT, this.catalogue.length)) {
+            let next = this.catalogue.find(isFree);
+            if (!next) {
+                this.state.completed = [];
+                next = this.catalogue.find(isFree);
+            }
+            this.state.active.push(next.ID);
+            this.state.progress[next.ID] = {};
+        }
+    }
+
+    getActive() {
+        return this.state.active.map(id => this.catalogue.find(mission => mission.ID === id));
+    }
+
+    // Active missions for the mission panel and toasts
+    getActiveMissions() {
+        return this.getActive().map(mission => this.describe(mission));
+    }
+
+    describe(mission) {
+        const progress = this.state.progress[mission.ID] || {};
+        return {
+            id: mission.ID,
+            label: mission.LABEL,
+            reward: mission.REWARD,
+            singleRun: Boolean(mission.SINGLE_RUN),
+            fraction: getMissionFraction(mission, progress),
+            goals: mission.GOALS.map(goal => ({
+                label: goal.LABEL,
+                progress: Math.min(Math.floor(progress[goal.COUNTER] || 0), goal.TARGET),
+                target: goal.TARGET
+            }))
+        };
+    }
+
+    getCompletedCount() {
+        return this.state.completed.length;
+    }
+
+    load() {
+        const state = { active: [], completed: [], progress: {} };
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (!saved || saved.version !== MISSIONS_VERSION) return state;
+
+            // Missions dropped from the catalogue since the save are forgotten
+            const known = (id) => this.catalogue.some(mission => mission.ID === id);
+            if (Array.isArray(saved.active)) {
+                state.active = saved.active.filter(known).slice(0, this.config.ACTIVE_COUNT);
+            }
+            if (Array.isArray(saved.completed)) {
+                state.completed = saved.completed.filter(id => known(id) && !state.active.includes(id));
+            }
+            // Keep numeric counters only; anything malformed starts from zero
+            for (const id of state.active) {
+                const progress = (saved.progress && saved.progress[id]) || {};
+                state.progress[id] = Object.fromEntries(Object.entries(progress)
+                    .filter(([, amount]) => Number.isFinite(amount)));
+            }
+        } catch (error) {
+            console.error('Error loading mission progress:', error);
+        }
+        return state;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                version: MISSIONS_VERSION,
+                ...this.state
+            }));
+        } catch (error) {
+            console.error('Error saving mission progress:', error);
+        }
+    }
+}
@@ -1,24 +1,29 @@
 // EXPO-READY Version 9 - CRITICAL GLB Loading & Memory Leak Fixes
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { LANES, OBSTACLE_TYPES, SPAWN_CONFIG, SCORING, PHYSICS } from './constants.js';
+import { GAME_CONFIG, LANES, OBSTACLE_TYPES, SPAWN_CONFIG, SCORING, PHYSICS, CHUNK_CONFIG, DEFAULT_DIFFICULTY, NEAR_MISS_CONFIG } from './constants.js';
 import { CollisionUtils, PositionTracker } from './collision-utils.js';
+import { getDifficultySettings } from './difficulty.js';
+import { SeededRandom } from './random.js';
 
 export class ObstacleManager {
-    constructor(scene) {
+    constructor(scene, rng = new SeededRandom(), options = {}) {
         this.scene = scene;
+        this.rng = rng; // Seeded stream for obstacle patterns
+        this.loadModels = options.loadModels !== false; // Headless runs use fallback meshes only
         this.obstacles = [];
         this.lastObstacleType = '';
         this.gameController = null;
+        this.chunkLibrary = null; // Hand-authored chunks, set once loaded (see chunks.js)
         
         // EXPO FIX: Smart spawning system (replaces distance-based spawning)
         this.SPAWN_HORIZON = 15; // Spawn 15 units ahead (much closer to player)
         this.DESPAWN_DISTANCE = 25; // Remove obstacles 25 units behind player
-        this.MIN_OBSTACLE_SPACING = 4; // Minimum distance between obstacles (closer)
-        this.MAX_OBSTACLE_SPACING = 8; // Maximum distance between obstacles (closer)
-        this.TARGET_DENSITY = 0.75; // 75% of possible positions have obstacles
-        this.obstaclePattern = this.generateObstaclePattern(50); // Pre-generate pattern
+        // Spacing, density and unlocked types come from the difficulty director (DIFFICULTY_PRESETS),
+        // read afresh for every slot (generatePatternSlot)
+        this.PATTERN_LENGTH = 50; // Slots before the pattern's positions start over
         this.patternIndex = 0;
+        this.patternPosition = 0;
         
         // High-speed collision detection
         this.playerPositionTracker = new PositionTracker();
@@ -72,7 +77,8 @@ export class ObstacleManager {
                 path: './assets/Obstacles/rubble.glb',
                 scale: [0.1, 0.1, 0.1],
                 yPos: 0.05,
-                rotation: [0, Math.random() * Math.PI, 0],
+                rotation: [0, 0, 0],
+                randomYaw: true, // Turned up to half a turn when placed, drawn from this.rng (it changes the collision box)
                 fallback: () => new THREE.BoxGeometry(0.2, 0.1, 0.2)
             },
             'trafficBarrier': {
@@ -88,41 +94,84 @@ export class ObstacleManager {
                 yPos: 0.05,
                 rotation: [0, 0, 0],
                 fallback: () => new THREE.CylinderGeometry(0.6, 0.6, 0.05, 32)
+            },
+            // Overhead obstacles have no GLB yet, so they are not in the load lists above
+            // and always use their fallback geometry (which is also their collision box).
+            // Their bottom sits at 0.6 (yPos 1.8 - half of 2.4): above a sliding player's box
+            // (GAME_CONFIG.SLIDE_COLLISION_HEIGHT), below a standing one's
+            'scaffoldingBeam': {
+                path: null,
+                scale: [1, 1, 1],
+                yPos: 1.8,
+                rotation: [0, 0, 0],
+                fallback: () => new THREE.BoxGeometry(1.6, 2.4, 0.4)
+            },
+            'hangingSign': {
+                path: null,
+                scale: [1, 1, 1],
+                yPos: 1.8,
+                rotation: [0, 0, 0],
+                fallback: () => new THREE.BoxGeometry(1.4, 2.4, 0.1)
+            },
+            'barrierArm': {
+                path: null,
+                scale: [1, 1, 1],
+                yPos: 1.8,
+                rotation: [0, 0, 0],
+                fallback: () => new THREE.BoxGeometry(1.8, 2.4, 0.15)
             }
         };
         
-        this.initializeSmartPooling();
-        
-        // EXPO FIX: Start memory monitoring
-        this.startMemoryMonitoring();
+        if (this.loadModels) {
+            this.initializeSmartPooling();
+            
+            // EXPO FIX: Start memory monitoring
+            this.startMemoryMonitoring();
+        }
     }
 
-    // EXPO FIX: Generate smart obstacle pattern with good spacing
-    generateObstaclePattern(length) {
-        const pattern = [];
-        let currentPosition = 0;
-        const availableTypes = ['pothole', 'constructionBarrier', 'cone', 'rubble', 'trafficBarrier', 'floorHole'];
+    // EXPO FIX: Generate the next slot of the smart obstacle pattern with good spacing.
+    // Difficulty is read for each slot, so a new stage applies from the next obstacle on.
+    // Returns { position, type, lane }, { position, chunk }, or null for a gap.
+    generatePatternSlot() {
+        if (this.patternIndex >= this.PATTERN_LENGTH) {
+            // Start the pattern over
+            this.patternIndex = 0;
+            this.patternPosition = 0;
+        }
+        this.patternIndex++;
         
-        for (let i = 0; i < length; i++) {
-            // Random spacing within our range
-            const spacing = this.MIN_OBSTACLE_SPACING + 
-                          Math.random() * (this.MAX_OBSTACLE_SPACING - this.MIN_OBSTACLE_SPACING);
-            
-            currentPosition += spacing;
-            
-            // Randomly skip some positions to create natural gaps
-            if (Math.random() < this.TARGET_DENSITY) {
-                const type = availableTypes[Math.floor(Math.random() * availableTypes.length)];
-                pattern.push({
-                    position: currentPosition,
-                    type: type,
-                    lane: Math.floor(Math.random() * 3) // 0, 1, or 2
-                });
+        const difficulty = this.getDifficultySettings();
+        const spacingRange = difficulty.obstacleSpacing;
+        
+        // Random spacing within our range
+        const spacing = spacingRange.min + 
+                      this.rng.next() * (spacingRange.max - spacingRange.min);
+        
+        this.patternPosition += spacing;
+        const position = this.patternPosition;
+        
+        // Some slots become a whole hand-authored chunk
+        if (this.chunkLibrary && this.rng.chance(CHUNK_CONFIG.CHUNK_CHANCE)) {
+            const chunk = this.chunkLibrary.pickChunk(difficulty.chunkTier, difficulty.obstacleTypes, this.rng);
+            if (chunk) {
+                this.patternPosition += chunk.length;
+                return {
+                    position: position,
+                    chunk: chunk
+                };
             }
         }
         
-
-        return pattern;
+        // Randomly skip some positions to create natural gaps
+        if (!this.rng.chance(difficulty.obstacleDensity)) {
+            return null;
+        }
+        return {
+            position: position,
+            type: this.rng.pick(difficulty.obstacleTypes),
+            lane: this.rng.int(3) // 0, 1, or 2
+        };
     }
 
     // EXPO FIX: Smart obstacle spawning ahead of player
@@ -148,16 +197,9 @@ export class ObstacleManager {
 
     // EXPO FIX: Spawn next obstacle from pattern
     spawnNextPatternObstacle() {
-        // Get next obstacle from pattern
-        if (this.patternIndex >= this.obstaclePattern.length) {
-            // Regenerate pattern if we've used it all
-            this.obstaclePattern = this.generateObstaclePattern(50);
-            this.patternIndex = 0;
-
-        }
-        
-        const obstacleData = this.obstaclePattern[this.patternIndex];
-        this.patternIndex++;
+        // Get next obstacle from pattern (nothing to place in a gap)
+        const obstacleData = this.generatePatternSlot();
+        if (!obstacleData) return;
         
         if (!this.gameController) {
             console.warn('⚠️ No game controller - cannot spawn obstacle');
@@ -168,30 +210,74 @@ export class ObstacleManager {
         const playerZ = this.gameController.getPlayerPosition().z;
         const spawnZ = playerZ - this.SPAWN_HORIZON - obstacleData.position;
         
+        if (obstacleData.chunk) {
+            this.spawnChunk(obstacleData.chunk, spawnZ);
+            return;
+        }
+        
+        this.placeObstacle(obstacleData.type, obstacleData.lane, spawnZ);
+    }
+
+    // Lay out a hand-authored chunk starting at startZ. Neighbouring slots can combine with a
+    // chunk, so the whole layout goes through the passability check; a chunk that fails is
+    // left out entirely rather than spawned with pieces changed.
+    spawnChunk(chunk, startZ) {
+        const candidates = chunk.obstacles.map(entry => ({ type: entry.type, lane: entry.lane, z: startZ - entry.z }));
+        if (!this.isPassableWith(...candidates)) return;
+        
+        for (const candidate of candidates) {
+            this.createObstacle(candidate.type, candidate.lane, candidate.z);
+        }
+        
+        const collectableManager = this.gameController.collectableManager;
+        if (collectableManager) {
+            for (const entry of chunk.collectibles) {
+                collectableManager.spawnAuthoredCollectible(entry.type, entry.lane, startZ - entry.z, entry.y);
+            }
+        }
+    }
+
+    placeObstacle(requestedType, lane, spawnZ) {
+        // Never wall off the road: swap in a jumpable type, or skip the slot
+        const type = this.choosePassableType({ type: requestedType, lane: lane }, spawnZ);
+        if (type) {
+            this.createObstacle(type, lane, spawnZ);
+        }
+    }
+
+    createObstacle(type, lane, spawnZ) {
         // Create the obstacle mesh
-        const obstacleMesh = this.createObstacleMesh(obstacleData.type);
+        const obstacleMesh = this.createObstacleMesh(type);
         if (!obstacleMesh) {
-            console.warn(`Failed to create obstacle mesh for type: ${obstacleData.type}`);
+            console.warn(`Failed to create obstacle mesh for type: ${type}`);
             return;
         }
         
         // Position the obstacle
         const lanePositions = [-2, 0, 2]; // LANES.POSITIONS
         obstacleMesh.position.set(
-            lanePositions[obstacleData.lane], 
+            lanePositions[lane], 
             obstacleMesh.position.y, 
             spawnZ
         );
+        if (this.modelConfig[type].randomYaw) {
+            obstacleMesh.rotation.y = this.rng.next() * Math.PI;
+        }
         
         // Create obstacle object
         const obstacle = {
             mesh: obstacleMesh,
-            type: obstacleData.type,
-            lane: obstacleData.lane,
+            type: type,
+            lane: lane,
             id: `obstacle_${Date.now()}_${Math.random()}`,
             collisionEnabled: obstacleMesh.userData.isGLB ? 
                 this.verifyMeshVisibility(obstacleMesh) : true,
-            createdAt: Date.now()
+            createdAt: Date.now(),
+            // Passing bookkeeping (trackPassedObstacles)
+            passed: false,
+            touched: false, // Hit, or passed through while shielded: no points
+            wasInLane: false, // Player was in its lane within NEAR_MISS_CONFIG.LANE_DISTANCE
+            minClearance: Infinity // Smallest gap between the player's feet and its top while over it
         };
         
         // Add to scene and track
@@ -201,6 +287,194 @@ export class ObstacleManager {
 
     }
 
+    // Pick the type to spawn for a pattern slot so that a survivable path remains, or null
+    // to skip the slot. Pattern positions are relative to the player at spawn time, so the
+    // check runs against the obstacles actually on the road rather than the pre-generated pattern.
+    choosePassableType(obstacleData, spawnZ) {
+        const candidate = { type: obstacleData.type, lane: obstacleData.lane, z: spawnZ };
+        if (this.isPassableWith(candidate)) {
+            return candidate.type;
+        }
+        
+        if (!this.isJumpable(candidate.type)) {
+            // Swap in a jumpable type, preferring ones the difficulty has already unlocked
+            const unlockedJumpables = this.getDifficultySettings().obstacleTypes.filter(type => this.isJumpable(type));
+            const jumpableTypes = unlockedJumpables.length > 0 ?
+                unlockedJumpables :
+                Object.keys(OBSTACLE_TYPES).filter(type => this.isJumpable(type));
+            candidate.type = this.rng.pick(jumpableTypes);
+            if (this.isPassableWith(candidate)) {
+                return candidate.type;
+            }
+        }
+        
+        return null;
+    }
+
+    // Current difficulty settings; defaults apply before a game controller is attached
+    getDifficultySettings() {
+        return this.gameController ?
+            this.gameController.getDifficultySettings() :
+            getDifficultySettings(DEFAULT_DIFFICULTY, 0);
+    }
+
+    setChunkLibrary(chunkLibrary) {
+        this.chunkLibrary = chunkLibrary;
+    }
+
+    isJumpable(type) {
+        return OBSTACLE_TYPES[type] ? OBSTACLE_TYPES[type].jumpable === true : false;
+    }
+
+    isSlidable(type) {
+        return OBSTACLE_TYPES[type] ? OBSTACLE_TYPES[type].slidable === true : false;
+    }
+
+    // Can be passed without leaving the lane, by jumping over or sliding under
+    isClearable(type) {
+        return this.isJumpable(type) || this.isSlidable(type);
+    }
+
+    // Reachability check for one or more candidate obstacles ({ type, lane, z }), run at the
+    // current speed and at SPEED_MARGIN times it (a faster run shortens the gaps between rows,
+    // a slower one stretches how far a jump reaches)
+    isPassableWith(...candidates) {
+        const gameSpeed = this.gameController.getGameSpeed();
+        return [gameSpeed, gameSpeed * SPAWN_CONFIG.PASSABILITY.SPEED_MARGIN]
+            .every(plannedSpeed => this.isPassableAtSpeed(candidates, plannedSpeed));
+    }
+
+    // Walk the obstacle rows ahead of the player, tracking the states the player can be in as
+    // each row passes: their lane, when they land from their last jump and when they may next
+    // take off. The walk starts from the lane the player is in or moving to, and between rows
+    // the player can only shift as many lanes as LANE_SWITCH_SPEED allows (in the air too).
+    // A lane holding an obstacle that must be dodged is closed; one holding only jumpable or
+    // only slidable obstacles is open to a jump or slide that spans the row (see getRowExitStates).
+    isPassableAtSpeed(candidates, gameSpeed) {
+        const config = SPAWN_CONFIG.PASSABILITY;
+        const player = this.gameController.player;
+        const playerZ = this.gameController.getPlayerPosition().z;
+        const clearTicks = config.CLEAR_DEPTH / 2 / gameSpeed; // Ticks either side of a row spent over or under it
+        
+        const entries = this.obstacles
+            .filter(obstacle => obstacle.mesh.position.z < playerZ + config.ROW_DEPTH)
+            .map(obstacle => ({ type: obstacle.type, lane: obstacle.lane, z: obstacle.mesh.position.z }));
+        candidates.forEach(candidate => entries.push({ ...candidate, isCandidate: true }));
+        
+        const landsAt = this.getPlayerLandingTicks(player);
+        let states = [{ lane: player.getLane(), landsAt: landsAt, takeoffFrom: landsAt }];
+        let previousRowTime = 0;
+        let candidateReached = false;
+        
+        for (const row of this.buildObstacleRows(entries)) {
+            // Rows are ordered nearest first; the track runs toward negative Z
+            const rowTime = (playerZ - row.z) / gameSpeed;
+            candidateReached = candidateReached || row.hasCandidate;
+            
+            const nextStates = new Map();
+            for (const state of states) {
+                for (let lane = 0; lane < LANES.COUNT; lane++) {
+                    if (this.getLaneShiftTicks(Math.abs(lane - state.lane)) > rowTime - previousRowTime) continue;
+                    for (const nextState of this.getRowExitStates(row.lanes[lane], state, rowTime, clearTicks)) {
+                        nextStates.set(`${lane}:${nextState.landsAt}:${nextState.takeoffFrom}`, { lane: lane, ...nextState });
+                    }
+                }
+            }
+            
+            if (nextStates.size === 0) {
+                if (candidateReached) {
+                    return false;
+                }
+                // The road was already impassable before any candidate (it was planned at a lower
+                // speed, or the player is out of position): judge the candidates from past this row
+                const clearedAt = rowTime + clearTicks;
+                states = [LANES.LEFT, LANES.CENTER, LANES.RIGHT].map(lane => ({ lane: lane, landsAt: clearedAt, takeoffFrom: clearedAt }));
+            } else {
+                states = [...nextStates.values()];
+            }
+            previousRowTime = rowTime;
+        }
+        
+        return true;
+    }
+
+    // States the player can be in once past one lane of a row reached at rowTime (ticks from
+    // now), coming from state; none if the lane can't be got through. A jump spans the row if
+    // the player is in the air from clearTicks before it until clearTicks after; the takeoff
+    // can be no earlier than state allows, and is tried as early as possible (to land soonest)
+    // and as late as possible (to reach furthest). A slide needs the player on the ground for
+    // the same span, and they can't take off again until past the row.
+    getRowExitStates(laneContent, state, rowTime, clearTicks) {
+        const airTicks = this.getJumpAirTicks();
+        
+        if (laneContent === 'blocked') {
+            return [];
+        }
+        if (laneContent === 'jump') {
+            // Still in the air from the last jump
+            if (state.landsAt - airTicks <= rowTime - clearTicks && rowTime + clearTicks <= state.landsAt) {
+                return [state];
+            }
+            const earliestTakeoff = Math.max(state.takeoffFrom, state.landsAt, rowTime + clearTicks - airTicks);
+            const latestTakeoff = rowTime - clearTicks;
+            if (earliestTakeoff > latestTakeoff) {
+                return [];
+            }
+            return [earliestTakeoff, latestTakeoff].map(takeoff => ({ landsAt: takeoff + airTicks, takeoffFrom: takeoff + airTicks }));
+        }
+        if (laneContent === 'slide') {
+            if (state.landsAt > rowTime - clearTicks) {
+                return [];
+            }
+            return [{ landsAt: state.landsAt, takeoffFrom: Math.max(state.takeoffFrom, rowTime + clearTicks) }];
+        }
+        return [state];
+    }
+
+    // Group obstacles into rows (nearest first) and note what each lane of a row holds:
+    // 'blocked' (must be dodged), 'jump', 'slide', or undefined when it is empty
+    buildObstacleRows(entries) {
+        const sorted = [...entries].sort((a, b) => b.z - a.z);
+        const rows = [];
+        
+        for (const entry of sorted) {
+            let row = rows[rows.length - 1];
+            if (!row || row.z - entry.z > SPAWN_CONFIG.PASSABILITY.ROW_DEPTH) {
+                row = { z: entry.z, lanes: [], hasCandidate: false };
+                rows.push(row);
+            }
+            row.hasCandidate = row.hasCandidate || entry.isCandidate === true;
+            
+            const content = this.isJumpable(entry.type) ? 'jump' : this.isSlidable(entry.type) ? 'slide' : 'blocked';
+            const current = row.lanes[entry.lane];
+            // A jump and a slide can't both be done in the same row
+            row.lanes[entry.lane] = current === undefined || current === content ? content : 'blocked';
+        }
+        
+        return rows;
+    }
+
+    // Ticks a jump keeps the player off the ground (INITIAL_JUMP_VELOCITY against GRAVITY)
+    getJumpAirTicks() {
+        return 2 * GAME_CONFIG.INITIAL_JUMP_VELOCITY / -GAME_CONFIG.GRAVITY;
+    }
+
+    // Ticks until an airborne player lands (0 on the ground)
+    getPlayerLandingTicks(player) {
+        if (!player.isJumping) return 0;
+        const gravity = -GAME_CONFIG.GRAVITY;
+        const height = Math.max(player.mesh.position.y - (GAME_CONFIG.GROUND_HEIGHT + GAME_CONFIG.PLAYER_VISUAL_OFFSET), 0);
+        return (player.velocityY + Math.sqrt(player.velocityY * player.velocityY + 2 * gravity * height)) / gravity;
+    }
+
+    // Ticks the player's lane lerp needs to cross laneCount lanes
+    getLaneShiftTicks(laneCount) {
+        if (laneCount === 0) return 0;
+        const laneSpacing = LANES.POSITIONS[1] - LANES.POSITIONS[0];
+        const remainingFraction = SPAWN_CONFIG.PASSABILITY.LANE_CLEARANCE / (laneCount * laneSpacing);
+        return Math.ceil(Math.log(remainingFraction) / Math.log(1 - GAME_CONFIG.LANE_SWITCH_SPEED));
+    }
+
     // EXPO FIX: Enhanced memory monitoring for expo reliability
     startMemoryMonitoring() {
         setInterval(() => {
@@ -448,7 +722,8 @@ export class ObstacleManager {
     }
 
     // EXPO FIX: Enhanced collision detection with safety checks
-    checkCollisions(playerBox, waterSlideObjects = [], waterSlideStatus = false) {
+    // pipelineLane: lane of an active Water Pipeline, whose obstacles can't hit the player (or null)
+    checkCollisions(playerBox, pipelineLane = null) {
         this.frameCounter++;
         
         // Get game speed from game controller if available
@@ -471,9 +746,9 @@ export class ObstacleManager {
                 continue; // Skip invisible obstacles
             }
             
-            // Skip collision if water slide is active and obstacle is cleared by water slide
-            if (waterSlideStatus && waterSlideObjects.includes(obstacle.mesh)) {
-                continue; // Water slide clears this obstacle
+            // The Water Pipeline's lane is safe while it runs
+            if (obstacle.lane === pipelineLane) {
+                continue;
             }
             
             const obstacleBox = new THREE.Box3().setFromObject(obstacle.mesh);
@@ -502,6 +777,23 @@ export class ObstacleManager {
         return null;
     }
 
+    // Remove the obstacles in a lane between two track positions (Water Pipeline); returns how many
+    clearLane(lane, fromZ, toZ) {
+        let clearedCount = 0;
+        for (let i = this.obstacles.length - 1; i >= 0; i--) {
+            const obstacle = this.obstacles[i];
+            const z = obstacle.mesh.position.z;
+            if (obstacle.lane !== lane || z < fromZ || z > toZ) continue;
+            
+            this.scene.remove(obstacle.mesh);
+            this.disposeMesh(obstacle.mesh);
+            this.obstacles.splice(i, 1);
+            this.playerPositionTracker.clearPosition(obstacle.id);
+            clearedCount++;
+        }
+        return clearedCount;
+    }
+
     // EXPO FIX: Enhanced obstacle cleanup with proper disposal
     removeObstaclesBehindPlayer(playerZ) {
         const removalThreshold = playerZ + this.DESPAWN_DISTANCE; // Remove obstacles behind player
@@ -649,7 +941,7 @@ export class ObstacleManager {
         // EXPO FIX: Reset smart spawning system
         this.lastObstacleType = '';
         this.patternIndex = 0;
-        this.obstaclePattern = this.generateObstaclePattern(50);
+        this.patternPosition = 0;
         
         this.memoryMonitor.disposeCount += this.obstacles.length;
     }
@@ -671,18 +963,67 @@ export class ObstacleManager {
         // Spawning logic is handled in update() method
     }
 
+    // Returns the obstacles that went past the player this tick (see trackPassedObstacles)
     updateObstacles(gameSpeed, cameraZ, gameActive) {
-        if (!gameActive) return 0;
+        if (!gameActive) return [];
         
         // Get player position from game controller
         const player = this.gameController?.player;
-        if (!player) return 0;
+        if (!player) return [];
         
         // Update obstacle positions and cleanup
         this.update(player, gameSpeed);
         
-        // Return score for passed obstacles (simplified)
-        return 0; // Score is handled elsewhere
+        return this.trackPassedObstacles(player);
+    }
+
+    // Watch obstacles go past the player. Returns [{ obstacle, nearMiss }] for each one that
+    // went fully behind the player this tick without touching it; nearMiss is null, 'lane'
+    // (dodged out of its lane at the last moment) or 'jump' (cleared with little room to spare).
+    trackPassedObstacles(player) {
+        const playerBox = player.getCollisionBox();
+        const playerZ = player.getPosition().z;
+        const passed = [];
+        
+        for (const obstacle of this.obstacles) {
+            if (obstacle.passed) continue;
+            
+            // Still far ahead: nothing to track yet
+            const distanceAhead = playerZ - obstacle.mesh.position.z;
+            if (distanceAhead > NEAR_MISS_CONFIG.LANE_DISTANCE) continue;
+            
+            if (distanceAhead > 0 && player.lane === obstacle.lane) {
+                obstacle.wasInLane = true;
+            }
+            
+            const obstacleBox = new THREE.Box3().setFromObject(obstacle.mesh);
+            if (obstacleBox.intersectsBox(playerBox)) {
+                obstacle.touched = true;
+            }
+            
+            // Over the top of it: same stretch of road, same lane, feet above it
+            const overlapsZ = playerBox.max.z >= obstacleBox.min.z && playerBox.min.z <= obstacleBox.max.z;
+            const overlapsX = playerBox.max.x >= obstacleBox.min.x && playerBox.min.x <= obstacleBox.max.x;
+            if (overlapsZ && overlapsX && playerBox.min.y >= obstacleBox.max.y) {
+                obstacle.minClearance = Math.min(obstacle.minClearance, playerBox.min.y - obstacleBox.max.y);
+            }
+            
+            // Fully behind the player
+            if (obstacleBox.min.z > playerBox.max.z) {
+                obstacle.passed = true;
+                if (!obstacle.touched) {
+                    passed.push({ obstacle: obstacle, nearMiss: this.getNearMiss(obstacle, player) });
+                }
+            }
+        }
+        
+        return passed;
+    }
+
+    getNearMiss(obstacle, player) {
+        if (obstacle.minClearance < NEAR_MISS_CONFIG.JUMP_CLEARANCE) return 'jump';
+        if (obstacle.wasInLane && player.lane !== obstacle.lane) return 'lane';
+        return null;
     }
 
     getObstacles() {
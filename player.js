@@ -1,6 +1,6 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { LANES, COLORS, GAME_CONFIG, PHYSICS } from './constants.js';
+import { LANES, COLORS, GAME_CONFIG, PHYSICS, HEALTH_CONFIG } from './constants.js';
 
 export class Player {
     constructor(scene) {
@@ -17,7 +17,6 @@ export class Player {
         this.currentAction = null;
         this.stumbleAction = null;
         this.flyingAction = null;
-        this.clock = new THREE.Clock();
         
         // Flying state
         this.isFlying = false;
@@ -26,11 +25,27 @@ export class Player {
         
         // Stumble state
         this.isStumbling = false;
-        this.stumbleEndTime = 0;
+        this.stumbleTimeRemaining = 0; // ms of simulation time left in the stumble
         this.stumbleAnimationDuration = 1500; // Default 1.5 seconds max, will be updated when animation loads
         this.stumbleSpeedMultiplier = 1.0; // Speed multiplier for animation playback
         this.gameOverCallback = null; // Callback to trigger game over after stumble
         
+        // Post-hit invulnerability (lives), shown by blinking
+        this.invulnerableTimeRemaining = 0; // ms
+        
+        // Slide state
+        this.isSliding = false;
+        this.slideTimeRemaining = 0; // ms of simulation time left in the slide
+        this.slideQueued = false; // Slide pressed mid-jump: fall fast, then slide on landing
+        this.slidePose = 0; // 0 = upright, 1 = fully leaned back
+        
+        // Input forgiveness (GAME_CONFIG.JUMP_BUFFER, COYOTE_TIME, LANE_CHANGE_*)
+        this.jumpBufferRemaining = 0; // ms a jump pressed in the air waits for landing
+        this.coyoteTimeRemaining = 0; // ms a ground jump is still allowed after dropping without jumping
+        this.queuedLaneChange = 0; // -1/+1: lane change pressed mid-transition, applied once it settles
+        this.laneChangeBufferRemaining = 0; // ms before the queued lane change is applied anyway
+        this.onJump = null; // callback(isDoubleJump), when a jump actually happens (not when one is buffered)
+        
         // Debug counter
         this.frameCounter = 0;
     }
@@ -252,7 +267,10 @@ export class Player {
         this.gameOverCallback = gameOverCallback;
         
         this.isStumbling = true;
-        this.stumbleEndTime = Date.now() + this.stumbleAnimationDuration; // Use actual animation duration
+        this.stumbleTimeRemaining = this.stumbleAnimationDuration; // Use actual animation duration
+        this.cancelSlide();
+        this.jumpBufferRemaining = 0;
+        this.queuedLaneChange = 0;
         
         // Sync positions before switching (with tiny stumble offset)
         this.stumbleMesh.position.copy(this.mesh.position);
@@ -295,50 +313,166 @@ export class Player {
             this.stumbleAction.stop();
         }
         
-        // Hide stumble mesh
+        // Hide stumble mesh; the running mesh comes back if the run goes on (lives left)
         if (this.stumbleMesh) {
             this.stumbleMesh.visible = false;
         }
+        this.mesh.visible = true;
         
-        // Trigger game over through callback
+        // Trigger game over (or recovery) through callback
         if (this.gameOverCallback) {
             this.gameOverCallback();
             this.gameOverCallback = null; // Clear the callback
         }
     }
 
-    moveLeft() {
-        if (this.lane > LANES.LEFT) {
-            this.lane--;
+    // Let obstacles pass through for a while after a hit that cost a life
+    startInvulnerability(duration = HEALTH_CONFIG.INVULNERABILITY_TIME) {
+        this.invulnerableTimeRemaining = duration;
+    }
+
+    isInvulnerable() {
+        return this.invulnerableTimeRemaining > 0;
+    }
+
+    // Blink while invulnerable; flying hides the running mesh itself
+    updateInvulnerability(isFlying, deltaTime) {
+        if (this.invulnerableTimeRemaining <= 0) return;
+        this.invulnerableTimeRemaining = Math.max(this.invulnerableTimeRemaining - deltaTime, 0);
+        if (!isFlying) {
+            const blinkOff = Math.floor(this.invulnerableTimeRemaining / HEALTH_CONFIG.BLINK_INTERVAL) % 2 === 1;
+            this.mesh.visible = !this.isInvulnerable() || !blinkOff;
         }
     }
 
+    moveLeft() {
+        this.requestLaneChange(-1);
+    }
+
     moveRight() {
-        if (this.lane < LANES.RIGHT) {
-            this.lane++;
+        this.requestLaneChange(1);
+    }
+
+    // A second lane change in the same direction while still moving between lanes is
+    // queued until the first settles; turning back goes at once
+    requestLaneChange(direction) {
+        if (this.isChangingLanes() && Math.sign(LANES.POSITIONS[this.lane] - this.mesh.position.x) === direction) {
+            this.queuedLaneChange = direction;
+            this.laneChangeBufferRemaining = GAME_CONFIG.LANE_CHANGE_BUFFER;
+            return;
+        }
+        this.queuedLaneChange = 0;
+        this.changeLane(direction);
+    }
+
+    changeLane(direction) {
+        this.lane = Math.min(Math.max(this.lane + direction, LANES.LEFT), LANES.RIGHT);
+    }
+
+    // Move into a lane whatever lane the player is in (Water Pipeline); drops any queued change
+    steerToLane(lane) {
+        this.lane = lane;
+        this.queuedLaneChange = 0;
+    }
+
+    getLane() {
+        return this.lane;
+    }
+
+    isChangingLanes() {
+        return Boolean(this.mesh) &&
+            Math.abs(LANES.POSITIONS[this.lane] - this.mesh.position.x) > GAME_CONFIG.LANE_CHANGE_SETTLE_DISTANCE;
+    }
+
+    // Apply a queued lane change once the current one settles or its buffer runs out
+    updateQueuedLaneChange(deltaTime) {
+        if (this.queuedLaneChange === 0) return;
+        this.laneChangeBufferRemaining -= deltaTime;
+        if (!this.isChangingLanes() || this.laneChangeBufferRemaining <= 0) {
+            this.changeLane(this.queuedLaneChange);
+            this.queuedLaneChange = 0;
         }
     }
 
     jump() {
-        // Regular jump if not jumping
-        if (!this.isJumping) {
-            console.log('👍 DEBUG: Regular jump executed');
+        // Regular jump if not jumping, or just after dropping without a jump (coyote time).
+        // Jumping out of a slide stands straight up into it.
+        if (!this.isJumping || this.coyoteTimeRemaining > 0) {
+            if (GAME_CONFIG.DEBUG_JUMPS) {
+                console.log('👍 DEBUG: Regular jump executed');
+            }
+            this.cancelSlide();
             this.isJumping = true;
             this.velocityY = GAME_CONFIG.INITIAL_JUMP_VELOCITY;
             this.hasDoubleJumped = false;
+            this.jumpBufferRemaining = 0;
+            this.coyoteTimeRemaining = 0;
+            this.notifyJump(false);
         } 
         // Double jump if Wind Power is active and we haven't used double jump yet
         else if (this.canDoubleJump && !this.hasDoubleJumped) {
-            console.log(`✨ DEBUG: Double jump executed! (canDoubleJump: ${this.canDoubleJump}, hasDoubleJumped: ${this.hasDoubleJumped})`);
+            if (GAME_CONFIG.DEBUG_JUMPS) {
+                console.log(`✨ DEBUG: Double jump executed! (canDoubleJump: ${this.canDoubleJump}, hasDoubleJumped: ${this.hasDoubleJumped})`);
+            }
             this.velocityY = GAME_CONFIG.DOUBLE_JUMP_VELOCITY;
             this.hasDoubleJumped = true;
+            this.cancelSlide();
             this.createJumpEffect();
-        } else {
-            console.log(`⚠️ DEBUG: Jump ignored (isJumping: ${this.isJumping}, canDoubleJump: ${this.canDoubleJump}, hasDoubleJumped: ${this.hasDoubleJumped})`);
+            this.notifyJump(true);
+        } else if (!this.isFlying && !this.isStumbling) {
+            // Too early to jump again: remember the press and jump on landing
+            this.jumpBufferRemaining = GAME_CONFIG.JUMP_BUFFER;
+            this.slideQueued = false;
         }
     }
 
+    notifyJump(isDoubleJump) {
+        if (typeof this.onJump === 'function') {
+            this.onJump(isDoubleJump);
+        }
+    }
+
+    // Start falling without a jump (e.g. when a helicopter ride ends); a jump
+    // pressed within COYOTE_TIME still counts as a ground jump
+    startFalling() {
+        this.isJumping = true;
+        this.velocityY = 0;
+        this.coyoteTimeRemaining = GAME_CONFIG.COYOTE_TIME;
+    }
+
+    slide() {
+        if (this.isFlying || this.isStumbling) return;
+        
+        // Mid-jump: cut the jump into a fast fall and slide as soon as we land
+        if (this.isJumping) {
+            this.velocityY = Math.min(this.velocityY, GAME_CONFIG.SLIDE_FAST_FALL_VELOCITY);
+            this.slideQueued = true;
+            this.jumpBufferRemaining = 0; // The latest press wins
+            return;
+        }
+        
+        // Sliding again while already sliding restarts the timer
+        this.isSliding = true;
+        this.slideTimeRemaining = GAME_CONFIG.SLIDE_DURATION;
+    }
+
+    cancelSlide() {
+        this.isSliding = false;
+        this.slideTimeRemaining = 0;
+        this.slideQueued = false;
+    }
+
+    // Procedural slide pose: ease the model into a backward lean and out again
+    updateSlidePose() {
+        const targetPose = this.isSliding ? 1 : 0;
+        this.slidePose += (targetPose - this.slidePose) * 0.35;
+        this.mesh.rotation.x = this.slidePose * GAME_CONFIG.SLIDE_LEAN_ANGLE;
+    }
+
     createJumpEffect() {
+        // Cosmetic only; headless runs (Node) have no frame loop to animate it
+        if (typeof requestAnimationFrame !== 'function') return;
+        
         const particleCount = 10;
         const particles = [];
         
@@ -390,12 +524,18 @@ export class Player {
         updateParticles();
     }
 
-    updatePosition(isFlying, waterSlideObjects, gameSpeed) {
+    // deltaTime is the simulation tick length in ms
+    updatePosition(isFlying, gameSpeed, deltaTime = GAME_CONFIG.FIXED_TIMESTEP) {
         if (!this.mesh) return;
         
+        const deltaSeconds = deltaTime / 1000;
+        
         // Check if stumble should end
-        if (this.isStumbling && Date.now() > this.stumbleEndTime) {
-            this.endStumble();
+        if (this.isStumbling) {
+            this.stumbleTimeRemaining -= deltaTime;
+            if (this.stumbleTimeRemaining <= 0) {
+                this.endStumble();
+            }
         }
         
         // Handle animation switching based on state
@@ -404,16 +544,26 @@ export class Player {
         // If stumbling, only update animation mixers and exit - no movement allowed
         if (this.isStumbling) {
             // Update animation mixers
-            const deltaTime = this.clock.getDelta();
             if (this.mixer) {
-                this.mixer.update(deltaTime);
+                this.mixer.update(deltaSeconds);
             }
             if (this.stumbleMixer) {
-                this.stumbleMixer.update(deltaTime);
+                this.stumbleMixer.update(deltaSeconds);
             }
             return; // Exit early - no other movement during stumble
         }
         
+        if (this.isSliding) {
+            this.slideTimeRemaining -= deltaTime;
+            if (this.slideTimeRemaining <= 0) {
+                this.cancelSlide();
+            }
+        }
+        this.jumpBufferRemaining = Math.max(this.jumpBufferRemaining - deltaTime, 0);
+        this.coyoteTimeRemaining = Math.max(this.coyoteTimeRemaining - deltaTime, 0);
+        this.updateQueuedLaneChange(deltaTime);
+        this.updateInvulnerability(isFlying, deltaTime);
+        
         const targetX = LANES.POSITIONS[this.lane];
         
         this.frameCounter = (this.frameCounter || 0) + 1;
@@ -434,7 +584,8 @@ export class Player {
         // Handle helicopter flying power-up with smooth hovering
         if (isFlying) {
             this.isFlying = true;
-            this.flyingTime += 0.016; // Approximate delta time for smooth hovering
+            this.flyingTime += deltaSeconds;
+            this.cancelSlide();
             
             const flyHeight = PHYSICS.FLYING_HEIGHT;
             // Create more pronounced hovering motion since animation is static
@@ -480,44 +631,26 @@ export class Player {
                 this.isJumping = false;
                 this.velocityY = 0;
                 this.hasDoubleJumped = false;
-            }
-        }
-        
-        // Water slide guidance
-        if (waterSlideObjects && waterSlideObjects.length > 0) {
-            const slideSegment = waterSlideObjects[0];
-            if (slideSegment) {
-                let closestLane = 0;
-                let minDistance = Math.abs(LANES.POSITIONS[0] - slideSegment.position.x);
+                this.coyoteTimeRemaining = 0;
                 
-                for (let i = 1; i < LANES.POSITIONS.length; i++) {
-                    const distance = Math.abs(LANES.POSITIONS[i] - slideSegment.position.x);
-                    if (distance < minDistance) {
-                        minDistance = distance;
-                        closestLane = i;
-                    }
-                }
-                
-                if (this.lane !== closestLane) {
-                    this.mesh.position.x += (LANES.POSITIONS[closestLane] - this.mesh.position.x) * 0.05;
-                    if (this.flyingMesh) {
-                        this.flyingMesh.position.x = this.mesh.position.x;
-                    }
-                    if (this.stumbleMesh) {
-                        this.stumbleMesh.position.x = this.mesh.position.x; // Keep X in sync only
-                    }
+                if (this.jumpBufferRemaining > 0) {
+                    this.jump();
+                } else if (this.slideQueued) {
+                    this.slideQueued = false;
+                    this.slide();
                 }
             }
         }
-
+        
+        this.updateSlidePose();
+        
         // Update animation mixers
-        const deltaTime = this.clock.getDelta();
         if (this.mixer) {
-            this.mixer.update(deltaTime);
+            this.mixer.update(deltaSeconds);
         }
         // Only update flying mixer if not in static flying mode
         if (this.flyingMixer && (!this.isFlying || !this.flyingMesh || !this.flyingMesh.visible)) {
-            this.flyingMixer.update(deltaTime);
+            this.flyingMixer.update(deltaSeconds);
         }
         // Note: stumbleMixer is only updated during stumble (handled above)
     }
@@ -601,16 +734,21 @@ export class Player {
         const boxDepth = 0.3;
         
         const modelVisualCenter = playerPos.y + (boxHeight * 0.15);
+        const boxBottom = modelVisualCenter - boxHeight / 2;
+        // Sliding keeps the feet where they are and lowers the top of the box
+        const boxTop = this.isSliding ?
+            boxBottom + GAME_CONFIG.SLIDE_COLLISION_HEIGHT :
+            modelVisualCenter + boxHeight / 2;
         
         const playerBox = new THREE.Box3(
             new THREE.Vector3(
                 playerPos.x - boxWidth / 2,
-                modelVisualCenter - boxHeight / 2,
+                boxBottom,
                 playerPos.z - boxDepth / 2
             ),
             new THREE.Vector3(
                 playerPos.x + boxWidth / 2,
-                modelVisualCenter + boxHeight / 2,
+                boxTop,
                 playerPos.z + boxDepth / 2
             )
         );
@@ -679,10 +817,21 @@ export class Player {
         this.hasDoubleJumped = false;
         this.canDoubleJump = false;
         this.isStumbling = false; // Reset stumble state
+        this.stumbleTimeRemaining = 0;
         this.isFlying = false; // Reset flying state
         this.flyingTime = 0;
         this.flyingHoverOffset = 0;
         this.gameOverCallback = null; // Clear any pending callback
+        this.invulnerableTimeRemaining = 0;
+        this.jumpBufferRemaining = 0;
+        this.coyoteTimeRemaining = 0;
+        this.queuedLaneChange = 0;
+        this.laneChangeBufferRemaining = 0;
+        this.cancelSlide();
+        this.slidePose = 0;
+        if (this.mesh) {
+            this.mesh.rotation.x = 0;
+        }
         this.resetToNormalColor();
         
         // Restart running animation properly
@@ -0,0 +1,182 @@
+// powerup-registry.js
+// Every power-up is one definition here: how long it lasts, what it does when it starts,
+// every tick and when it runs out, how the HUD shows it and what colour it turns the
+// player. PowerUpManager, the simulation's pickup handling, the collectible spawn lists
+// and the HUD all read from this list, so a new power-up is added here (plus a model in
+// CollectableManager.modelConfig if it can be picked up).
+//
+// Definition fields:
+//   id          - Collectible type and powerUpActivated event type, e.g. 'hardHat'
+//   durationKey - POWER_UP_DURATIONS key, which shop upgrades lengthen; power-ups without
+//                 one get their duration when activated (e.g. Head Start)
+//   label, icon - HUD entry
+//   color       - Player colour while active; earlier definitions win when several are active
+//   collectable - Spawns as a pickup (false for power-ups granted another way)
+//   shields     - The player can't be hit while it is active
+//   magnet      - Pulls nearby collectibles in while it is active (radius ring around the player)
+//   stacking    - What picking it up again while it is active does:
+//                 'refresh' - the timer starts over
+//                 'extend'  - the duration is added to the time left, up to maxStacks durations
+//                 'stack'   - intensity (state.stacks) goes up by one, up to maxStacks, and the
+//                             timer starts over; onStack applies the stronger effect
+//                 'reject'  - nothing happens
+//   maxStacks   - Cap for 'extend' and 'stack' (default 1)
+//   onActivate(manager, state), onTick(manager, state, deltaTime), onExpire(manager, state),
+//   onStack(manager, state, previousStacks)
+//                 Optional hooks; manager is the PowerUpManager, state is the active entry
+//                 ({ remaining, duration, stacks, options }). onStack runs after a pickup the
+//                 stacking rule accepted.
+
+import { COLORS, PHYSICS } from './constants.js';
+
+const SOLAR_SPEED_MULTIPLIER = 1.5;
+
+export const POWER_UP_REGISTRY = [
+    {
+        id: 'hardHat',
+        durationKey: 'INVINCIBILITY',
+        label: 'Hard Hat Shield',
+        icon: '🛡️',
+        color: COLORS.PLAYER.INVINCIBLE,
+        collectable: true,
+        shields: true,
+        stacking: 'extend',
+        maxStacks: 2
+    },
+    {
+        id: 'helicopter',
+        durationKey: 'HELICOPTER',
+        label: 'Helicopter Ride',
+        icon: '🚁',
+        color: COLORS.PLAYER.FLYING,
+        collectable: true,
+        stacking: 'refresh',
+        onActivate(manager) {
+            const position = manager.player.getPosition();
+            manager.player.setPosition(position.x, PHYSICS.FLYING_HEIGHT, position.z);
+        },
+        onExpire(manager) {
+            // Aerial stars go with the helicopter; the player drops back to the road
+            if (manager.collectableManager) {
+                manager.collectableManager.removeAerialStars();
+            }
+            manager.player.startFalling();
+        }
+    },
+    {
+        id: 'solarPower',
+        durationKey: 'SOLAR_BOOST',
+        label: 'Solar Power Boost',
+        icon: '🌟',
+        color: COLORS.PLAYER.SOLAR_BOOST,
+        collectable: true,
+        magnet: true,
+        stacking: 'stack',
+        maxStacks: 2,
+        onActivate(manager) {
+            manager.setSpeedMultiplier('solarPower', SOLAR_SPEED_MULTIPLIER);
+        },
+        onStack(manager, state) {
+            // Each stack is another x1.5
+            manager.setSpeedMultiplier('solarPower', SOLAR_SPEED_MULTIPLIER ** state.stacks);
+        },
+        onExpire(manager) {
+            if (manager.collectableManager) {
+                manager.collectableManager.removeSolarOrbs();
+            }
+            manager.setSpeedMultiplier('solarPower', 1);
+        }
+    },
+    {
+        id: 'windPower',
+        durationKey: 'WIND_POWER',
+        label: 'Wind Power',
+        icon: '💨',
+        color: COLORS.PLAYER.WIND_POWER,
+        collectable: true,
+        stacking: 'extend',
+        maxStacks: 2,
+        onActivate(manager) {
+            manager.player.setDoubleJumpAbility(true);
+        },
+        onExpire(manager) {
+            manager.player.setDoubleJumpAbility(false);
+        }
+    },
+    {
+        id: 'waterPipeline',
+        durationKey: 'WATER_SLIDE',
+        label: 'Water Pipeline',
+        icon: '🚰',
+        color: COLORS.PLAYER.WATER_SLIDE,
+        collectable: true,
+        stacking: 'refresh',
+        onActivate(manager) {
+            manager.waterPipeline.start();
+        },
+        onStack(manager) {
+            // Same pipe, and the player is steered back into it
+            manager.waterPipeline.refresh();
+        },
+        onTick(manager) {
+            manager.waterPipeline.update();
+        },
+        onExpire(manager) {
+            manager.waterPipeline.stop();
+        }
+    },
+    {
+        id: 'magnet',
+        durationKey: 'MAGNET',
+        label: 'Magnet',
+        icon: '🧲',
+        color: COLORS.PLAYER.MAGNET,
+        collectable: true,
+        magnet: true,
+        stacking: 'extend',
+        maxStacks: 2
+    },
+    {
+        // Head Start upgrade: a shielded sprint at the start of the run.
+        // Activated with { duration, speedMultiplier } from the upgrade effects.
+        id: 'headStart',
+        label: 'Head Start',
+        icon: '🚀',
+        collectable: false,
+        shields: true,
+        stacking: 'reject',
+        onActivate(manager, state) {
+            manager.setSpeedMultiplier('headStart', state.options.speedMultiplier);
+        },
+        onExpire(manager) {
+            manager.setSpeedMultiplier('headStart', 1);
+        }
+    }
+];
+
+/**
+ * Look up a power-up definition
+ * @param {string} id - Power-up id, e.g. 'solarPower'
+ * @returns {Object|undefined} - Entry of POWER_UP_REGISTRY
+ */
+export function getPowerUpDefinition(id) {
+    return POWER_UP_REGISTRY.find(definition => definition.id === id);
+}
+
+/**
+ * Power-ups that spawn as pickups, in registry order
+ * @returns {string[]} - Power-up ids
+ */
+export function getCollectablePowerUpIds() {
+    return POWER_UP_REGISTRY.filter(definition => definition.collectable).map(definition => definition.id);
+}
+
+/**
+ * Whether a collectible type is a power-up pickup
+ * @param {string} type - Collectible type
+ * @returns {boolean}
+ */
+export function isPowerUpPickup(type) {
+    const definition = getPowerUpDefinition(type);
+    return Boolean(definition && definition.collectable);
+}
@@ -1,279 +1,241 @@
 import * as THREE from 'three';
-import { LANES, COLORS, POWER_UP_DURATIONS, PHYSICS } from './constants.js';
+import { POWER_UP_DURATIONS, PHYSICS } from './constants.js';
+import { SeededRandom } from './random.js';
+import { POWER_UP_REGISTRY, getPowerUpDefinition } from './powerup-registry.js';
+import { WaterPipeline } from './water-pipeline.js';
 
 export class PowerUpManager {
-    constructor(scene, player) {
+    constructor(scene, player, rng = new SeededRandom()) {
         this.scene = scene;
         this.player = player;
+        this.rng = rng; // Seeded stream for power-up effects (water pipeline lane ties)
         this.collectableManager = null; // Will be set by game.js
         
-        // Power-up states
-        this.isInvincible = false;
-        this.invincibilityTimer = 0;
-        this.isFlying = false;
-        this.flyingTimer = 0;
-        this.hasSolarBoost = false;
-        this.solarBoostTimer = 0;
-        this.hasWindPower = false;
-        this.windPowerTimer = 0;
-        this.hasWaterSlide = false;
-        this.waterSlideTimer = 0;
+        // Active power-ups: id -> { remaining, duration, options } (see powerup-registry.js)
+        this.active = new Map();
         
-        this.waterSlideObjects = [];
-        this.gameSpeed = null; // Will be set by reference
+        // Power-up lengths for this run: POWER_UP_DURATIONS plus shop upgrades (applyUpgrades)
+        this.durations = { ...POWER_UP_DURATIONS };
+        
+        this.waterPipeline = new WaterPipeline(scene, player, this.rng);
+        this.magnetRing = null; // Radius ring shown while a magnet power-up runs
+        this.speedModifiers = null; // Simulation's SpeedModifierStack, set by setSpeedModifiers
     }
 
-    setGameSpeedReference(gameSpeedRef) {
-        this.gameSpeed = gameSpeedRef;
+    setSpeedModifiers(speedModifiers) {
+        this.speedModifiers = speedModifiers;
     }
 
     setCollectableManager(collectableManager) {
         this.collectableManager = collectableManager;
+        this.waterPipeline.collectableManager = collectableManager;
     }
 
-    activateInvincibility(duration = POWER_UP_DURATIONS.INVINCIBILITY) {
-        this.isInvincible = true;
-        this.invincibilityTimer = duration;
-        this.player.setColor(COLORS.PLAYER.INVINCIBLE);
-        console.log("Hard Hat Shield ACTIVE!");
-    }
-
-    deactivateInvincibility() {
-        this.isInvincible = false;
-        this.updatePlayerColor();
-        console.log("Hard Hat Shield DEACTIVATED!");
+    // The Water Pipeline clears obstacles out of its lane
+    setObstacleManager(obstacleManager) {
+        this.waterPipeline.obstacleManager = obstacleManager;
     }
 
-    activateHelicopter(duration = POWER_UP_DURATIONS.HELICOPTER) {
-        console.log("Activating Helicopter Ride with duration:", duration);
-        this.isFlying = true;
-        this.flyingTimer = duration;
-        this.player.setPosition(
-            this.player.getPosition().x,
-            PHYSICS.FLYING_HEIGHT,
-            this.player.getPosition().z
-        );
-        this.player.setColor(COLORS.PLAYER.FLYING);
-        console.log("Helicopter Ride ACTIVE!");
+    // effects is getUpgradeEffects() (upgrades.js) for the run about to start
+    applyUpgrades(effects) {
+        this.durations = { ...effects.powerUpDurations };
     }
 
-    deactivateHelicopter() {
-        this.isFlying = false;
-        // Remove all aerial stars when helicopter ends
-        if (this.collectableManager) {
-            this.collectableManager.removeAerialStars();
+    /**
+     * Start a power-up from the registry
+     * @param {string} id - Power-up id
+     * @param {Object} options - { duration } overrides the run's duration; the rest is handed to the hooks
+     * @returns {Object|null} - The active entry ({ remaining, duration, stacks, options }), or null
+     *                           if the power-up was already active and its stacking rule rejected it
+     */
+    activate(id, options = {}) {
+        const definition = getPowerUpDefinition(id);
+        if (!definition) {
+            console.warn(`Unknown power-up: ${id}`);
+            return null;
         }
-        // Initiate controlled fall
-        this.player.isJumping = true;
-        this.player.velocityY = 0;
-        this.updatePlayerColor();
-        console.log("Helicopter Ride DEACTIVATED!");
-    }
-
-    activateSolarPower(duration = POWER_UP_DURATIONS.SOLAR_BOOST) {
-        this.hasSolarBoost = true;
-        this.solarBoostTimer = duration;
-        if (this.gameSpeed) {
-            this.gameSpeed.value *= 1.5;
+        
+        const duration = options.duration ?? this.durations[definition.durationKey];
+        if (this.active.has(id)) {
+            const state = this.active.get(id);
+            return this.restack(definition, state, duration) ? state : null;
         }
-        this.player.setColor(COLORS.PLAYER.SOLAR_BOOST);
-        console.log("Solar Power Boost ACTIVE!");
-    }
-
-    deactivateSolarPower() {
-        this.hasSolarBoost = false;
-        // Remove all solar orbs when solar boost ends
-        if (this.collectableManager) {
-            this.collectableManager.removeSolarOrbs();
+        
+        const state = { remaining: duration, duration, stacks: 1, options };
+        this.active.set(id, state);
+        if (definition.onActivate) {
+            definition.onActivate(this, state);
         }
-        if (this.gameSpeed) {
-            this.gameSpeed.value /= 1.5;
+        if (definition.color !== undefined) {
+            this.player.setColor(definition.color);
         }
-        this.updatePlayerColor();
-        console.log("Solar Power Boost DEACTIVATED!");
+        console.log(`${definition.icon} ${definition.label} ACTIVE!`);
+        return state;
     }
 
-    activateWindPower(duration = POWER_UP_DURATIONS.WIND_POWER) {
-        this.hasWindPower = true;
-        this.windPowerTimer = duration;
-        this.player.setDoubleJumpAbility(true);
-        this.player.setColor(COLORS.PLAYER.WIND_POWER);
-        console.log("Wind Power ACTIVE!");
-    }
-
-    deactivateWindPower() {
-        this.hasWindPower = false;
-        this.player.setDoubleJumpAbility(false);
-        this.updatePlayerColor();
-        console.log("Wind Power DEACTIVATED!");
-    }
-
-    activateWaterSlide(duration = POWER_UP_DURATIONS.WATER_SLIDE) {
-        console.log("Activating Water Pipeline with duration:", duration);
-        this.hasWaterSlide = true;
-        this.waterSlideTimer = duration;
-        this.createWaterSlidePath();
-        this.player.setColor(COLORS.PLAYER.WATER_SLIDE);
-        console.log("Water Pipeline ACTIVE!");
+    // Apply the definition's stacking rule to a power-up picked up again while active.
+    // Returns false if the rule rejects it.
+    restack(definition, state, duration) {
+        const previousStacks = state.stacks;
+        const maxStacks = definition.maxStacks || 1;
+        
+        switch (definition.stacking) {
+            case 'refresh':
+                state.remaining = duration;
+                break;
+            case 'extend':
+                state.remaining = Math.min(state.remaining + duration, duration * maxStacks);
+                break;
+            case 'stack':
+                state.stacks = Math.min(state.stacks + 1, maxStacks);
+                state.remaining = duration;
+                break;
+            default: // 'reject'
+                console.log(`${definition.icon} ${definition.label} already active`);
+                return false;
+        }
+        state.duration = duration;
+        
+        if (definition.onStack) {
+            definition.onStack(this, state, previousStacks);
+        }
+        console.log(`${definition.icon} ${definition.label} ${definition.stacking} (x${state.stacks}, ${state.remaining}ms)`);
+        return true;
     }
 
-    deactivateWaterSlide() {
-        this.hasWaterSlide = false;
-        this.removeWaterSlidePath();
+    deactivate(id) {
+        const state = this.active.get(id);
+        if (!state) return;
+        
+        const definition = getPowerUpDefinition(id);
+        this.active.delete(id);
+        if (definition.onExpire) {
+            definition.onExpire(this, state);
+        }
         this.updatePlayerColor();
-        console.log("Water Pipeline DEACTIVATED!");
+        console.log(`${definition.icon} ${definition.label} DEACTIVATED!`);
     }
 
-    createWaterSlidePath() {
-        this.removeWaterSlidePath();
-        
-        const slideLength = 50;
-        const slideGeometry = new THREE.BoxGeometry(1, 0.1, 1);
-        const slideMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x00aaff,
-            transparent: true,
-            opacity: 0.7
-        });
-        
-        const slideLane = Math.floor(Math.random() * LANES.COUNT);
-        const playerZ = this.player.getPosition().z;
-        
-        for (let i = 0; i < slideLength; i++) {
-            const slideSegment = new THREE.Mesh(slideGeometry, slideMaterial);
-            slideSegment.position.set(
-                LANES.POSITIONS[slideLane],
-                0.05,
-                playerZ - 10 - i
-            );
-            this.scene.add(slideSegment);
-            this.waterSlideObjects.push(slideSegment);
-        }
+    isActive(id) {
+        return this.active.has(id);
     }
 
-    removeWaterSlidePath() {
-        for (const obj of this.waterSlideObjects) {
-            this.scene.remove(obj);
+    // Speed multiplier held while a power-up runs (name is the power-up id); 1 removes it
+    setSpeedMultiplier(name, multiplier) {
+        if (!this.speedModifiers) return;
+        if (multiplier === 1) {
+            this.speedModifiers.remove(name);
+        } else {
+            this.speedModifiers.add(name, multiplier);
         }
-        this.waterSlideObjects = [];
     }
 
     updatePlayerColor() {
-        // Set color based on active power-ups (priority order)
-        if (this.isInvincible) {
-            this.player.setColor(COLORS.PLAYER.INVINCIBLE);
-        } else if (this.isFlying) {
-            this.player.setColor(COLORS.PLAYER.FLYING);
-        } else if (this.hasSolarBoost) {
-            this.player.setColor(COLORS.PLAYER.SOLAR_BOOST);
-        } else if (this.hasWindPower) {
-            this.player.setColor(COLORS.PLAYER.WIND_POWER);
-        } else if (this.hasWaterSlide) {
-            this.player.setColor(COLORS.PLAYER.WATER_SLIDE);
+        // Set color based on active power-ups (registry order is the priority)
+        const definition = POWER_UP_REGISTRY.find(d => d.color !== undefined && this.active.has(d.id));
+        if (definition) {
+            this.player.setColor(definition.color);
         } else {
             this.player.resetToNormalColor();
         }
     }
 
     updateTimers(deltaTime) {
-        // Update invincibility
-        if (this.isInvincible) {
-            this.invincibilityTimer -= deltaTime;
-            if (this.invincibilityTimer <= 0) {
-                this.deactivateInvincibility();
+        for (const definition of POWER_UP_REGISTRY) {
+            const state = this.active.get(definition.id);
+            if (!state) continue;
+            
+            state.remaining -= deltaTime;
+            if (state.remaining <= 0) {
+                this.deactivate(definition.id);
+            } else if (definition.onTick) {
+                definition.onTick(this, state, deltaTime);
             }
         }
-        
-        // Update helicopter
-        if (this.isFlying) {
-            this.flyingTimer -= deltaTime;
-            if (this.flyingTimer <= 0) {
-                this.deactivateHelicopter();
-            }
-        }
-        
-        // Update solar boost
-        if (this.hasSolarBoost) {
-            this.solarBoostTimer -= deltaTime;
-            if (this.solarBoostTimer <= 0) {
-                this.deactivateSolarPower();
-            }
+        this.updateMagnet();
+    }
+
+    // While any magnet power-up runs: pull collectibles in and keep the radius ring on the player
+    updateMagnet() {
+        if (!this.getMagnetStatus() || !this.collectableManager) {
+            this.removeMagnetRing();
+            return;
         }
         
-        // Update wind power
-        if (this.hasWindPower) {
-            this.windPowerTimer -= deltaTime;
-            if (this.windPowerTimer <= 0) {
-                this.deactivateWindPower();
-            }
-        }
+        const radius = this.collectableManager.getMagnetRadius();
+        const playerPosition = this.player.getPosition();
+        this.collectableManager.applyMagnetEffect(playerPosition, radius, PHYSICS.MAGNET_PULL_SPEED);
         
-        // Update water slide
-        if (this.hasWaterSlide) {
-            this.waterSlideTimer -= deltaTime;
-            if (this.waterSlideTimer <= 0) {
-                this.deactivateWaterSlide();
-            }
+        if (!this.magnetRing || this.magnetRing.userData.radius !== radius) {
+            this.removeMagnetRing();
+            this.magnetRing = new THREE.Mesh(
+                new THREE.RingGeometry(radius - 0.08, radius, 48),
+                new THREE.MeshBasicMaterial({
+                    color: PHYSICS.MAGNET_RING_COLOR,
+                    transparent: true,
+                    opacity: 0.5,
+                    side: THREE.DoubleSide
+                })
+            );
+            this.magnetRing.rotation.x = -Math.PI / 2; // Flat on the road
+            this.magnetRing.userData.radius = radius;
+            this.scene.add(this.magnetRing);
         }
+        this.magnetRing.position.set(playerPosition.x, 0.05, playerPosition.z);
     }
 
-    updateWaterSlidePosition(gameSpeed) {
-        if (this.hasWaterSlide) {
-            for (const obj of this.waterSlideObjects) {
-                obj.position.z += gameSpeed;
-            }
-        }
+    removeMagnetRing() {
+        if (!this.magnetRing) return;
+        this.scene.remove(this.magnetRing);
+        this.magnetRing.geometry.dispose();
+        this.magnetRing.material.dispose();
+        this.magnetRing = null;
     }
 
     // Getters for game logic
+    // Any power-up marked shields in the registry (hard hat, head start sprint)
     getInvincibilityStatus() {
-        return this.isInvincible;
+        return POWER_UP_REGISTRY.some(definition => definition.shields && this.active.has(definition.id));
     }
 
     getFlyingStatus() {
-        return this.isFlying;
+        return this.isActive('helicopter');
     }
 
     getSolarBoostStatus() {
-        const status = this.hasSolarBoost;
+        const status = this.isActive('solarPower');
         if (status) {
             console.log('☀️ DEBUG: getSolarBoostStatus() returning true');
         }
         return status;
     }
 
+    // Any power-up marked magnet in the registry (magnet, solar boost)
+    getMagnetStatus() {
+        return POWER_UP_REGISTRY.some(definition => definition.magnet && this.active.has(definition.id));
+    }
+
     getWaterSlideStatus() {
-        return this.hasWaterSlide;
+        return this.isActive('waterPipeline');
     }
 
-    getWaterSlideObjects() {
-        return this.waterSlideObjects;
+    // Lane the Water Pipeline runs in (its obstacles can't hit the player), or null
+    getPipelineLane() {
+        return this.waterPipeline.getLane();
     }
 
+    // Power-up id -> ms left, for every active power-up
     getActiveTimers() {
-        return {
-            invincibility: this.isInvincible ? this.invincibilityTimer : 0,
-            flying: this.isFlying ? this.flyingTimer : 0,
-            solarBoost: this.hasSolarBoost ? this.solarBoostTimer : 0,
-            windPower: this.hasWindPower ? this.windPowerTimer : 0,
-            waterSlide: this.hasWaterSlide ? this.waterSlideTimer : 0
-        };
+        return Object.fromEntries([...this.active].map(([id, state]) => [id, state.remaining]));
     }
 
     reset() {
         // Reset all power-up states
-        this.isInvincible = false;
-        this.invincibilityTimer = 0;
-        this.isFlying = false;
-        this.flyingTimer = 0;
-        this.hasSolarBoost = false;
-        this.solarBoostTimer = 0;
-        this.hasWindPower = false;
-        this.windPowerTimer = 0;
-        this.hasWaterSlide = false;
-        this.waterSlideTimer = 0;
+        this.active.clear();
         
-        // Clean up water slide
-        this.removeWaterSlidePath();
+        // Clean up water pipeline and magnet ring
+        this.removeMagnetRing();
+        this.waterPipeline.stop();
         
         // Reset player abilities and color
         this.player.setDoubleJumpAbility(false);
@@ -0,0 +1,126 @@
+// random.js
+// Seedable pseudo-random number generator shared by all gameplay systems
+
+/**
+ * Hash a string into an unsigned 32-bit integer (FNV-1a)
+ * @param {string} str - Text to hash
+ * @returns {number} - 32-bit hash
+ */
+export function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Turn any seed value (number, numeric string or free text such as a date) into a 32-bit seed
+ * @param {number|string} seed - Seed value
+ * @returns {number} - Unsigned 32-bit seed
+ */
+export function normalizeSeed(seed) {
+    if (typeof seed === 'number' && isFinite(seed)) {
+        return Math.floor(seed) >>> 0;
+    }
+    const text = String(seed).trim();
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+    return hashString(text);
+}
+
+/**
+ * Pick a fresh seed for a run that wasn't given one
+ * @returns {number} - Unsigned 32-bit seed
+ */
+export function createRandomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Deterministic PRNG (mulberry32). A run is fully reproducible from its seed.
+ * Each manager draws from its own named stream so that extra draws in one
+ * system (e.g. environment decoration) never shift another system's sequence.
+ */
+export class SeededRandom {
+    constructor(seed = createRandomSeed()) {
+        this.streams = new Map(); // label -> child SeededRandom
+        this.setSeed(seed);
+    }
+
+    /**
+     * Restart the sequence (and every derived stream) from a seed
+     * @param {number|string} seed - Seed value
+     */
+    setSeed(seed) {
+        this.seed = normalizeSeed(seed);
+        this.state = this.seed;
+        for (const [label, stream] of this.streams) {
+            stream.setSeed(this.deriveSeed(label));
+        }
+    }
+
+    /**
+     * @returns {number} - The seed this generator was last started from
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Get (or create) an independent generator derived from this one
+     * @param {string} label - Stream name, e.g. 'obstacles'
+     * @returns {SeededRandom} - Child generator, reseeded whenever the parent is
+     */
+    stream(label) {
+        if (!this.streams.has(label)) {
+            this.streams.set(label, new SeededRandom(this.deriveSeed(label)));
+        }
+        return this.streams.get(label);
+    }
+
+    deriveSeed(label) {
+        return (hashString(label) ^ Math.imul(this.seed, 0x9e3779b1)) >>> 0;
+    }
+
+    /**
+     * @returns {number} - Float in [0, 1), drop-in replacement for Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * @returns {number} - Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * @returns {number} - Integer in [0, maxExclusive)
+     */
+    int(maxExclusive) {
+        return Math.floor(this.next() * maxExclusive);
+    }
+
+    /**
+     * @returns {*} - Random element of a non-empty array
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+
+    /**
+     * @returns {boolean} - True with the given probability
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+}
@@ -0,0 +1,183 @@
+// replay.js
+// Records a run's seed plus tick-indexed player actions, and plays them back
+//
+// A replay is deterministic because the simulation advances in fixed ticks
+// (GAME_CONFIG.FIXED_TIMESTEP), every spawn decision comes from the seeded RNG,
+// and player actions are only applied at tick boundaries. Spawning draws the same
+// values whether or not the GLB models have loaded, but a replay cannot pin down
+// load timing itself: an obstacle that was still a fallback mesh (with its fallback
+// hitbox) in the original run may already be a full model on playback.
+//
+// Shop upgrades change the run, so their levels are recorded too (replays from before
+// the shop have none and play back without upgrades). Mission rewards are paid by the
+// browser shell from progress kept outside the run, so they are recorded as
+// tick-indexed points and paid again on the same ticks during playback.
+
+import { GAME_CONFIG, DIFFICULTY_PRESETS, DEFAULT_DIFFICULTY, UPGRADES } from './constants.js';
+
+export const REPLAY_VERSION = 1;
+
+// Compact action codes used in the exported file
+const ACTION_CODES = {
+    moveLeft: 'L',
+    moveRight: 'R',
+    jump: 'J',
+    slide: 'S'
+};
+
+const CODE_ACTIONS = Object.fromEntries(
+    Object.entries(ACTION_CODES).map(([action, code]) => [code, action])
+);
+
+export class ReplayRecorder {
+    constructor() {
+        this.seed = null;
+        this.difficulty = DEFAULT_DIFFICULTY;
+        this.upgrades = {};   // Upgrade id -> level
+        this.inputs = [];     // [tick, action]
+        this.rewards = [];    // [tick, points]
+        this.finalTick = 0;
+        this.score = 0;
+    }
+
+    // Begin a new recording for a run generated from seed on a difficulty preset with shop upgrade levels
+    start(seed, difficulty = DEFAULT_DIFFICULTY, upgrades = {}) {
+        this.seed = seed;
+        this.difficulty = difficulty;
+        this.upgrades = { ...upgrades };
+        this.inputs = [];
+        this.rewards = [];
+        this.finalTick = 0;
+        this.score = 0;
+    }
+
+    record(tick, action) {
+        if (!ACTION_CODES[action]) return;
+        this.inputs.push([tick, action]);
+    }
+
+    recordReward(tick, points) {
+        this.rewards.push([tick, points]);
+    }
+
+    finish(finalTick, score) {
+        this.finalTick = finalTick;
+        this.score = Math.floor(score);
+    }
+
+    // Serialise to the compact replay format: inputs are [ticksSincePreviousInput, code] pairs,
+    // rewards [ticksSincePreviousReward, points] pairs
+    toJSON() {
+        let previousTick = 0;
+        const inputs = this.inputs.map(([tick, action]) => {
+            const entry = [tick - previousTick, ACTION_CODES[action]];
+            previousTick = tick;
+            return entry;
+        });
+        
+        previousTick = 0;
+        const rewards = this.rewards.map(([tick, points]) => {
+            const entry = [tick - previousTick, points];
+            previousTick = tick;
+            return entry;
+        });
+
+        return {
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            difficulty: this.difficulty,
+            upgrades: this.upgrades,
+            tickMs: GAME_CONFIG.FIXED_TIMESTEP,
+            ticks: this.finalTick,
+            score: this.score,
+            recordedAt: new Date().toISOString(),
+            inputs,
+            rewards
+        };
+    }
+}
+
+export class ReplayPlayer {
+    constructor(replay) {
+        this.seed = replay.seed;
+        this.difficulty = replay.difficulty || DEFAULT_DIFFICULTY; // Older replays predate difficulty presets
+        this.upgrades = replay.upgrades || {}; // ...and the upgrade shop
+        this.finalTick = replay.ticks;
+
+        // Expand delta-encoded inputs into tick -> [actions]
+        this.actionsByTick = new Map();
+        let tick = 0;
+        for (const [delta, code] of replay.inputs) {
+            tick += delta;
+            if (!this.actionsByTick.has(tick)) {
+                this.actionsByTick.set(tick, []);
+            }
+            this.actionsByTick.get(tick).push(CODE_ACTIONS[code]);
+        }
+        
+        // ...and delta-encoded mission rewards into tick -> [points] (older replays have none)
+        this.rewardsByTick = new Map();
+        tick = 0;
+        for (const [delta, points] of replay.rewards || []) {
+            tick += delta;
+            if (!this.rewardsByTick.has(tick)) {
+                this.rewardsByTick.set(tick, []);
+            }
+            this.rewardsByTick.get(tick).push(points);
+        }
+    }
+
+    getActionsForTick(tick) {
+        return this.actionsByTick.get(tick) || [];
+    }
+
+    getRewardsForTick(tick) {
+        return this.rewardsByTick.get(tick) || [];
+    }
+}
+
+// Parse and validate replay file contents; throws on anything we can't play back
+export function parseReplay(text) {
+    const replay = JSON.parse(text);
+
+    if (!replay || replay.version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version: ${replay && replay.version}`);
+    }
+    if (typeof replay.seed !== 'number' || !Array.isArray(replay.inputs)) {
+        throw new Error('Replay is missing its seed or inputs');
+    }
+    if (replay.difficulty !== undefined && !DIFFICULTY_PRESETS[replay.difficulty]) {
+        throw new Error(`Unknown replay difficulty: ${replay.difficulty}`);
+    }
+    if (replay.upgrades !== undefined && (typeof replay.upgrades !== 'object' || replay.upgrades === null ||
+        Object.entries(replay.upgrades).some(([id, level]) => !UPGRADES[id] || !Number.isInteger(level) || level < 0))) {
+        throw new Error(`Invalid replay upgrades: ${JSON.stringify(replay.upgrades)}`);
+    }
+    if (replay.tickMs !== GAME_CONFIG.FIXED_TIMESTEP) {
+        throw new Error(`Replay was recorded with a ${replay.tickMs}ms tick, expected ${GAME_CONFIG.FIXED_TIMESTEP}ms`);
+    }
+    for (const entry of replay.inputs) {
+        if (!Array.isArray(entry) || !Number.isInteger(entry[0]) || entry[0] < 0 || !CODE_ACTIONS[entry[1]]) {
+            throw new Error(`Invalid replay input: ${JSON.stringify(entry)}`);
+        }
+    }
+    if (replay.rewards !== undefined && (!Array.isArray(replay.rewards) || replay.rewards.some(entry =>
+        !Array.isArray(entry) || !Number.isInteger(entry[0]) || entry[0] < 0 || !Number.isFinite(entry[1]) || entry[1] <= 0))) {
+        throw new Error(`Invalid replay rewards: ${JSON.stringify(replay.rewards)}`);
+    }
+
+    return replay;
+}
+
+// Offer the replay to the user as a .json download
+export function downloadReplay(replay, filename = `infra-runner-replay-${replay.seed}.json`) {
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
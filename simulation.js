@@ -0,0 +1,679 @@
+// simulation.js
+// The game rules - player movement, spawning, collisions, power-ups and scoring -
+// stepped one fixed tick at a time. It needs a THREE.Scene for object bookkeeping
+// but no renderer, camera or DOM, so it also runs headless in Node (see headless.js).
+// Rendering and UI observe it through events:
+//   'runStarted'        { seed, difficulty }
+//   'tick'              { tick, deltaTime }
+//   'scoreChanged'      { score, blueprints, waterDrops, energyCells }
+//   'itemCollected'     { type, points }
+//   'powerUpActivated'  { type, label, icon, durationSeconds, stacks, renewed }
+//   'collision'         { obstacle }
+//   'obstaclePassed'    { type, nearMiss, jumped, points }
+//   'jumped'            { double }
+//   'livesChanged'      { lives, maxLives }
+//   'comboChanged'      { chain, multiplier }
+//   'gameOver'          { score, stats, ticks, seed }
+
+import { Player } from './player.js';
+import { ObstacleManager } from './obstacles.js';
+import { CollectableManager } from './collectables.js';
+import { PowerUpManager } from './powerups.js';
+import { GAME_CONFIG, SCORING, SPAWN_CONFIG, CHUNK_CONFIG, HEALTH_CONFIG, SPEED_CONFIG, COLLECTABLE_SPAWN_WEIGHTS } from './constants.js';
+import { SeededRandom, createRandomSeed } from './random.js';
+import { ReplayRecorder } from './replay.js';
+import { loadChunkLibrary } from './chunks.js';
+import { DifficultyDirector } from './difficulty.js';
+import { ComboMeter } from './combo.js';
+import { SpeedModifierStack } from './speed-modifiers.js';
+import { getPowerUpDefinition, isPowerUpPickup } from './powerup-registry.js';
+import { sanitizeUpgradeLevels, getUpgradeEffects } from './upgrades.js';
+
+// The camera rig starts 5 units behind the player; spawn and despawn distances are measured from it
+const TRACK_START_Z = 5;
+const PLAYER_AHEAD_OF_TRACK = 5;
+
+export class GameSimulation {
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.headless = options.headless || false;
+        this.chunkLibrary = options.chunkLibrary || null; // Headless callers pass the library in
+
+        // Game managers (created in init)
+        this.player = null;
+        this.obstacleManager = null;
+        this.collectableManager = null;
+        this.powerUpManager = null;
+
+        // Seeded randomness: every manager draws from its own stream of this generator
+        this.rng = new SeededRandom(options.seed ?? createRandomSeed());
+        this.gameRandom = this.rng.stream('game');
+
+        // Every run records its inputs so it can be replayed
+        this.replayRecorder = new ReplayRecorder();
+
+        // Speed and spawn rates follow the difficulty curve by distance run
+        this.director = new DifficultyDirector(options.difficulty);
+
+        // Event listeners: eventName -> [handler]
+        this.listeners = new Map();
+
+        // Run state
+        this.gameActive = false;
+        // Director's speed times named multipliers (power-ups, post-hit slowdown, start ramp)
+        this.speedModifiers = new SpeedModifierStack(GAME_CONFIG.INITIAL_SPEED);
+        this.trackZ = TRACK_START_Z;
+        this.simulationTime = 0; // ms of gameplay simulated this run
+        this.simulationTick = 0; // Fixed ticks simulated this run (replay inputs are indexed by tick)
+        this.stats = this.createEmptyStats();
+
+        // Lives (DIFFICULTY_PRESETS LIVES): hits left before game over
+        this.lives = 1;
+        this.maxLives = 1;
+        this.lastRepairKitTime = 0; // Simulation time of the last hit or repair kit spawn
+
+        // Pickups and clean passes in a row multiply the points they score
+        this.combo = new ComboMeter();
+    }
+
+    async init() {
+        // Create managers in dependency order
+        this.player = new Player(this.scene);
+        if (this.headless) {
+            this.player.createFallbackPlayer();
+        } else {
+            await this.player.initialize(); // Await player initialization
+        }
+
+        const managerOptions = { loadModels: !this.headless };
+        this.obstacleManager = new ObstacleManager(this.scene, this.rng.stream('obstacles'), managerOptions);
+        this.collectableManager = new CollectableManager(this.scene, this.rng.stream('collectables'), managerOptions);
+        this.powerUpManager = new PowerUpManager(this.scene, this.player, this.rng.stream('powerUps'));
+
+        this.player.onJump = (isDoubleJump) => this.emit('jumped', { double: isDoubleJump });
+
+        // Managers query run state (player position, speed, obstacles) through the simulation
+        this.obstacleManager.setGameController(this);
+        this.collectableManager.setGameController(this);
+
+        // Set game speed reference for power-ups
+        this.powerUpManager.setSpeedModifiers(this.speedModifiers);
+
+        // Set collectable manager reference for power-ups (to remove aerial stars)
+        this.powerUpManager.setCollectableManager(this.collectableManager);
+
+        // The Water Pipeline clears obstacles out of its lane
+        this.powerUpManager.setObstacleManager(this.obstacleManager);
+
+        // Load chunks before the first run so every run (and its replay) sees the same library
+        if (!this.chunkLibrary && !this.headless) {
+            try {
+                this.chunkLibrary = await loadChunkLibrary(CHUNK_CONFIG.LIBRARY_PATH);
+                console.log(`🧩 Loaded ${this.chunkLibrary.size} obstacle chunks`);
+            } catch (error) {
+                console.warn('⚠️ Obstacle chunks unavailable, using random placement only:', error.message);
+            }
+        }
+        this.obstacleManager.setChunkLibrary(this.chunkLibrary);
+    }
+
+    // ------------------------------------------------------------------
+    //                              EVENTS
+    // ------------------------------------------------------------------
+
+    on(eventName, handler) {
+        if (typeof handler !== 'function') return;
+        if (!this.listeners.has(eventName)) {
+            this.listeners.set(eventName, []);
+        }
+        this.listeners.get(eventName).push(handler);
+    }
+
+    off(eventName, handler) {
+        const handlers = this.listeners.get(eventName);
+        if (!handlers) return;
+        const index = handlers.indexOf(handler);
+        if (index !== -1) handlers.splice(index, 1);
+    }
+
+    emit(eventName, payload) {
+        const handlers = this.listeners.get(eventName);
+        if (!handlers) return;
+        for (const handler of handlers) {
+            handler(payload);
+        }
+    }
+
+    // ------------------------------------------------------------------
+    //                            RUN LIFECYCLE
+    // ------------------------------------------------------------------
+
+    // Reset every system and begin a new run generated from seed on a difficulty preset,
+    // with the shop upgrade levels (upgrade id -> level, see upgrades.js) bought so far
+    startRun(seed = createRandomSeed(), difficulty = this.director.getPreset(), upgrades = {}) {
+        const upgradeLevels = sanitizeUpgradeLevels(upgrades);
+        const upgradeEffects = getUpgradeEffects(upgradeLevels);
+
+        this.gameActive = true;
+        this.director.setPreset(difficulty);
+        this.speedModifiers.clear();
+        this.speedModifiers.setBaseSpeed(this.director.getSettings().speed);
+        this.speedModifiers.add('startRamp', SPEED_CONFIG.START_RAMP, { duration: SPEED_CONFIG.START_RAMP_TIME, ease: true });
+        this.trackZ = TRACK_START_Z;
+        this.simulationTime = 0;
+        this.simulationTick = 0;
+        this.stats = this.createEmptyStats();
+        this.maxLives = this.director.getLives();
+        this.lives = this.maxLives;
+        this.lastRepairKitTime = 0;
+        this.combo.reset();
+
+        // Reseed before managers regenerate their patterns
+        this.rng.setSeed(seed);
+        this.replayRecorder.start(this.rng.getSeed(), this.director.getPreset(), upgradeLevels);
+
+        // Reset all managers
+        this.player.reset();
+        this.obstacleManager.reset();
+        this.collectableManager.reset();
+        this.powerUpManager.reset();
+        this.powerUpManager.applyUpgrades(upgradeEffects);
+        this.collectableManager.applyUpgrades(upgradeEffects);
+
+        // CRITICAL FIX: Reset power-up distance tracking that was blocking power-ups after restart
+        if (this.collectableManager.spawnHistory) {
+            this.collectableManager.spawnHistory.lastPowerUpDistance = -100;
+        }
+
+        this.obstacleManager.startSpawning();
+        this.collectableManager.startSpawning();
+
+        this.emit('runStarted', { seed: this.rng.getSeed(), difficulty: this.director.getPreset() });
+        this.emit('scoreChanged', this.getStats());
+        this.emit('livesChanged', { lives: this.lives, maxLives: this.maxLives });
+        this.emitComboChanged();
+
+        // Upgrades that kick in straight away
+        if (upgradeEffects.startingShield) {
+            this.activatePowerUp('hardHat');
+        }
+        if (upgradeEffects.headStartTime > 0) {
+            this.activatePowerUp('headStart', {
+                duration: upgradeEffects.headStartTime,
+                speedMultiplier: upgradeEffects.headStartSpeed
+            });
+        }
+    }
+
+    // Halt the run without a game over (e.g. quitting to the menu)
+    stop() {
+        this.gameActive = false;
+    }
+
+    endRun() {
+        if (!this.gameActive) return;
+        this.gameActive = false;
+        this.replayRecorder.finish(this.simulationTick, this.stats.score);
+        this.emit('gameOver', {
+            score: this.stats.score,
+            stats: this.getCollectableStats(),
+            ticks: this.simulationTick,
+            seed: this.rng.getSeed()
+        });
+    }
+
+    // ------------------------------------------------------------------
+    //                              STEPPING
+    // ------------------------------------------------------------------
+
+    // Advance one simulation tick; deltaTime is always GAME_CONFIG.FIXED_TIMESTEP (ms).
+    // actions are the player actions ('moveLeft', 'moveRight', 'jump', 'slide') to apply this tick;
+    // rewards are mission reward points a replay pays back on this tick (see addMissionReward).
+    step(deltaTime = GAME_CONFIG.FIXED_TIMESTEP, actions = [], rewards = []) {
+        if (!this.gameActive) return;
+
+        this.simulationTime += deltaTime;
+        const tick = this.simulationTick++;
+
+        for (const action of actions) {
+            this.replayRecorder.record(tick, action);
+            this.applyPlayerAction(action);
+        }
+        for (const points of rewards) {
+            this.addMissionReward(points);
+        }
+
+        // Pause most game logic if player is stumbling
+        if (this.player.isStumbling) {
+            // Only update player position to handle stumble animation, but pause everything else
+            this.player.updatePosition(
+                this.powerUpManager.getFlyingStatus(),
+                this.getGameSpeed(),
+                deltaTime
+            );
+            return; // Skip all other game logic during stumble
+        }
+
+        // Update player position
+        this.player.updatePosition(
+            this.powerUpManager.getFlyingStatus(),
+            this.getGameSpeed(),  // Pass game speed for animation state management
+            deltaTime
+        );
+
+        // Timed speed modifiers (start ramp, post-hit slowdown) ease back to full speed
+        this.speedModifiers.update(deltaTime);
+
+        if (this.combo.update(deltaTime)) {
+            this.emitComboChanged();
+        }
+
+        // Update all objects
+        this.updateAllObjects(deltaTime);
+
+        // Check collisions
+        this.checkCollisions();
+        if (!this.gameActive) return;
+
+        // A pickup left behind breaks the combo (ground pickups are out of reach while flying)
+        const missedItems = this.collectableManager.trackMissedCollectables();
+        if (missedItems.length > 0 && !this.powerUpManager.getFlyingStatus()) {
+            this.breakCombo();
+        }
+
+        // NEW: Fair power-up spawning system (like Subway Surfers)
+        if (this.collectableManager.shouldSpawnPowerUp()) {
+            const playerZ = this.player.getPosition().z;
+            const obstacles = this.obstacleManager.getObstacles();
+            // No clear lane: try again next tick
+            if (this.collectableManager.createPowerUp(playerZ, obstacles)) {
+                this.collectableManager.markPowerUpSpawned();
+            }
+        }
+
+        // Repair kits only turn up while a life is missing
+        if (this.lives < this.maxLives &&
+            this.simulationTime - this.lastRepairKitTime >= HEALTH_CONFIG.REPAIR_KIT_INTERVAL) {
+            const placed = this.collectableManager.createRepairKit(
+                this.player.getPosition().z,
+                HEALTH_CONFIG.REPAIR_KIT_DISTANCE,
+                this.obstacleManager.getObstacles()
+            );
+            if (placed) {
+                this.lastRepairKitTime = this.simulationTime;
+            }
+        }
+
+        // Handle aerial collectibles when flying
+        if (this.powerUpManager.getFlyingStatus() && this.gameRandom.chance(SPAWN_CONFIG.AERIAL_SPAWN_CHANCE)) {
+            this.collectableManager.createAerialCollectable(this.player.getPosition());
+        }
+
+        // Handle solar orbs when solar boost is active
+        if (this.powerUpManager.getSolarBoostStatus() && this.gameRandom.chance(SPAWN_CONFIG.SOLAR_ORB_SPAWN_CHANCE)) {
+            this.collectableManager.createSolarOrb(this.player.getPosition());
+        }
+
+        // Move the player down the track
+        this.advanceTrack();
+
+        // Update game speed and score
+        this.updateGameSpeed();
+
+        // Update power-up timers (and per-tick effects such as the solar magnet)
+        this.powerUpManager.updateTimers(deltaTime);
+
+        this.emit('tick', { tick, deltaTime });
+    }
+
+    applyPlayerAction(action) {
+        switch (action) {
+            case 'moveLeft':
+                this.player.moveLeft();
+                break;
+            case 'moveRight':
+                this.player.moveRight();
+                break;
+            case 'jump':
+                this.player.jump();
+                break;
+            case 'slide':
+                this.player.slide();
+                break;
+        }
+    }
+
+    updateAllObjects(deltaTime) {
+        // Update obstacles and gain score for passed obstacles
+        const passedObstacles = this.obstacleManager.updateObstacles(
+            this.getGameSpeed(),
+            this.trackZ,
+            this.gameActive
+        );
+        for (const { obstacle, nearMiss } of passedObstacles) {
+            this.scoreObstaclePassed(obstacle, nearMiss);
+        }
+
+        // Update collectables
+        this.collectableManager.updateCollectables(this.getGameSpeed(), this.trackZ, deltaTime);
+    }
+
+    checkCollisions() {
+        const playerBox = this.player.getCollisionBox();
+
+        // Check obstacle collisions (if not invincible, not stumbling, not recovering from a hit, and not flying)
+        if (!this.powerUpManager.getInvincibilityStatus() && !this.player.isStumbling &&
+            !this.player.isInvulnerable() && !this.powerUpManager.getFlyingStatus()) {
+            const collision = this.obstacleManager.checkCollisions(
+                playerBox,
+                this.powerUpManager.getPipelineLane()
+            );
+
+            if (collision) {
+                // Performance: Reduce collision logging
+                console.log('*** COLLISION DETECTED ***');
+                collision.touched = true; // No points for passing it now
+                this.emit('collision', { obstacle: collision });
+                this.handleObstacleHit();
+                return;
+            }
+        }
+
+        // Check collectable collisions
+        const collectedItems = this.collectableManager.checkCollisions(playerBox);
+        this.handleCollectedItems(collectedItems);
+    }
+
+    // A hit costs a life. The last one ends the run after the stumble; otherwise the
+    // player gets up blinking and invulnerable, and the run slows down for a moment.
+    handleObstacleHit() {
+        this.lives--;
+        this.lastRepairKitTime = this.simulationTime;
+        this.emit('livesChanged', { lives: this.lives, maxLives: this.maxLives });
+        this.breakCombo();
+
+        const afterStumble = this.lives > 0 ? () => this.recoverFromHit() : () => this.endRun();
+
+        // Try to trigger stumble animation first
+        const stumbleTriggered = this.player.triggerStumble(afterStumble);
+
+        if (!stumbleTriggered) {
+            // If stumble animation not available (headless), skip straight past it
+            afterStumble();
+        }
+    }
+
+    recoverFromHit() {
+        this.player.startInvulnerability(HEALTH_CONFIG.INVULNERABILITY_TIME);
+        this.speedModifiers.add('hitSlowdown', HEALTH_CONFIG.HIT_SLOWDOWN, { duration: HEALTH_CONFIG.SLOWDOWN_TIME, ease: true });
+    }
+
+    gainLife() {
+        if (this.lives >= this.maxLives) return;
+        this.lives++;
+        this.emit('livesChanged', { lives: this.lives, maxLives: this.maxLives });
+    }
+
+    handleCollectedItems(collectedItems) {
+        for (const itemType of collectedItems) {
+            switch (itemType) {
+                // Regular collectibles
+                case 'blueprint':
+                    this.addCollectable('blueprint', SCORING.BLUEPRINT);
+                    break;
+                case 'waterDrop':
+                    this.addCollectable('waterDrop', SCORING.WATER_DROP);
+                    break;
+                case 'energyCell':
+                    this.addCollectable('energyCell', SCORING.ENERGY_CELL);
+                    break;
+                case 'aerialStar':
+                    this.addCollectable('aerialStar', SCORING.AERIAL_STAR);
+                    break;
+                case 'solarOrb':
+                    this.addCollectable('solarOrb', SCORING.SOLAR_ORB);
+                    break;
+                case 'repairKit':
+                    this.addCollectable('repairKit', SCORING.REPAIR_KIT);
+                    this.gainLife();
+                    break;
+
+                // Power-ups (powerup-registry.js)
+                default:
+                    if (isPowerUpPickup(itemType)) {
+                        this.addCollectable(itemType, SCORING.POWER_UP);
+                        this.activatePowerUp(itemType);
+                        this.collectableManager.markPowerUpSpawned(); // Reset fair spawning timer
+                    }
+                    break;
+            }
+        }
+    }
+
+    advanceTrack() {
+        this.trackZ -= this.getGameSpeed();
+        const playerPosition = this.player.getPosition();
+        this.player.setPosition(
+            playerPosition.x,
+            playerPosition.y,
+            this.trackZ - PLAYER_AHEAD_OF_TRACK
+        );
+    }
+
+    updateGameSpeed() {
+        // Follow the difficulty curve; speed modifiers apply on top
+        this.speedModifiers.setBaseSpeed(this.director.update(this.getDistance()).speed);
+
+        // Update score based on solar boost status
+        if (this.powerUpManager.getSolarBoostStatus()) {
+            this.addScore(SCORING.SOLAR_BOOST_RATE);
+        } else {
+            this.addScore(SCORING.BASE_RATE);
+        }
+    }
+
+    // ------------------------------------------------------------------
+    //                              SCORING
+    // ------------------------------------------------------------------
+
+    createEmptyStats() {
+        return {
+            score: 0,
+            blueprints: 0,
+            waterDrops: 0,
+            energyCells: 0,
+            obstaclesPassed: 0,
+            nearMisses: 0,
+            bestMultiplier: 1
+        };
+    }
+
+    addScore(points) {
+        if (!points) return;
+        this.stats.score += points;
+        this.emit('scoreChanged', this.getStats());
+    }
+
+    // Score for a completed mission. Missions are tracked outside the run, so the reward is
+    // recorded in the replay against the tick being stepped and paid again on playback.
+    addMissionReward(points) {
+        if (!this.gameActive || !points) return;
+        this.replayRecorder.recordReward(this.simulationTick - 1, points);
+        this.addScore(points);
+    }
+
+    // Obstacles that went past untouched score; near misses earn a bonus on top
+    scoreObstaclePassed(obstacle, nearMiss) {
+        this.extendCombo();
+        const points = this.applyCombo(SCORING.OBSTACLE_PASSED + (nearMiss ? SCORING.NEAR_MISS : 0));
+        this.stats.obstaclesPassed++;
+        if (nearMiss) {
+            this.stats.nearMisses++;
+        }
+        // jumped: the player went over it (jumping or flying) rather than around it
+        const jumped = obstacle.minClearance !== Infinity;
+        this.emit('obstaclePassed', { type: obstacle.type, nearMiss, jumped, points });
+        this.addScore(points);
+    }
+
+    addCollectable(type, points) {
+        if (COLLECTABLE_SPAWN_WEIGHTS.REGULAR.includes(type)) {
+            this.extendCombo();
+        }
+        points = this.applyCombo(points);
+        switch (type) {
+            case 'blueprint':
+                this.stats.blueprints++;
+                break;
+            case 'waterDrop':
+                this.stats.waterDrops++;
+                break;
+            case 'energyCell':
+                this.stats.energyCells++;
+                break;
+        }
+        this.emit('itemCollected', { type, points });
+        this.addScore(points);
+    }
+
+    // id is a powerup-registry.js id; options go to PowerUpManager.activate.
+    // renewed is true when it was already active and its stacking rule took the pickup.
+    activatePowerUp(id, options = {}) {
+        const renewed = this.powerUpManager.isActive(id);
+        const state = this.powerUpManager.activate(id, options);
+        if (!state) return; // Rejected by its stacking rule
+
+        const { label, icon } = getPowerUpDefinition(id);
+        this.emit('powerUpActivated', {
+            type: id,
+            label,
+            icon,
+            durationSeconds: state.remaining / 1000,
+            stacks: state.stacks,
+            renewed
+        });
+    }
+
+    extendCombo() {
+        this.combo.extend();
+        this.stats.bestMultiplier = this.combo.getBestMultiplier();
+        this.emitComboChanged();
+    }
+
+    breakCombo() {
+        if (this.combo.break()) {
+            this.emitComboChanged();
+        }
+    }
+
+    // Points scaled by the current combo multiplier
+    applyCombo(points) {
+        return Math.round(points * this.combo.getMultiplier());
+    }
+
+    emitComboChanged() {
+        this.emit('comboChanged', { chain: this.combo.getChain(), multiplier: this.combo.getMultiplier() });
+    }
+
+    // ------------------------------------------------------------------
+    //          ACCESSORS (also used by managers as their game controller)
+    // ------------------------------------------------------------------
+
+    getStats() {
+        return { ...this.stats };
+    }
+
+    getScore() {
+        return this.stats.score;
+    }
+
+    getLives() {
+        return this.lives;
+    }
+
+    getMaxLives() {
+        return this.maxLives;
+    }
+
+    getCollectableStats() {
+        return {
+            blueprints: this.stats.blueprints,
+            waterDrops: this.stats.waterDrops,
+            energyCells: this.stats.energyCells,
+            bestMultiplier: this.stats.bestMultiplier
+        };
+    }
+
+    getComboMultiplier() {
+        return this.combo.getMultiplier();
+    }
+
+    // Share of the combo's decay timer left (0-1)
+    getComboDecay() {
+        return this.combo.getDecayProgress();
+    }
+
+    getGameSpeed() {
+        return this.speedModifiers.getSpeed();
+    }
+
+    // Active speed modifiers, for debugging: [{ name, multiplier, remaining }]
+    getSpeedModifiers() {
+        return this.speedModifiers.getModifiers();
+    }
+
+    // Debugging aid (e.g. game.simulation.setSlowMotion(0.25, 5000) in the console).
+    // Not recorded in replays, so a replay of a run slowed this way won't match.
+    setSlowMotion(multiplier, duration = Infinity) {
+        if (multiplier === 1) {
+            this.speedModifiers.remove('slowMotion');
+        } else {
+            this.speedModifiers.add('slowMotion', multiplier, { duration });
+        }
+    }
+
+    getSimulationTime() {
+        return this.simulationTime;
+    }
+
+    getDifficulty() {
+        return this.director.getPreset();
+    }
+
+    getDifficultySettings() {
+        return this.director.getSettings();
+    }
+
+    getTick() {
+        return this.simulationTick;
+    }
+
+    getTrackZ() {
+        return this.trackZ;
+    }
+
+    // Distance the player has run this run, in world units
+    getDistance() {
+        return TRACK_START_Z - this.trackZ;
+    }
+
+    getRunSeed() {
+        return this.rng.getSeed();
+    }
+
+    getReplay() {
+        return this.replayRecorder.toJSON();
+    }
+
+    isGameActive() {
+        return this.gameActive;
+    }
+
+    getPlayerPosition() {
+        return this.player.getPosition();
+    }
+
+    getObstacles() {
+        return this.obstacleManager.getObstacles();
+    }
+}
@@ -0,0 +1,85 @@
+// speed-modifiers.js
+// The run's speed: the difficulty director's base speed times a list of named multipliers
+// (solar boost, post-hit slowdown, start-of-run ramp...). Nothing scales a shared speed
+// value in place any more - whoever adds a modifier removes it by name, or gives it a
+// duration and the stack drops it when it runs out. The speed is recombined from the list
+// whenever it is read, so modifiers can't drift and reset() really is a clean slate.
+
+/**
+ * Current multiplier of a modifier
+ * @param {Object} modifier - { multiplier, duration, remaining, ease }
+ * @returns {number} - Eased modifiers move from multiplier back to 1 as they run out
+ */
+export function getModifierMultiplier(modifier) {
+    if (!modifier.ease) return modifier.multiplier;
+    return 1 - (1 - modifier.multiplier) * modifier.remaining / modifier.duration;
+}
+
+export class SpeedModifierStack {
+    constructor(baseSpeed = 0) {
+        this.baseSpeed = baseSpeed;
+        this.modifiers = new Map(); // name -> { multiplier, duration, remaining, ease }
+    }
+
+    setBaseSpeed(speed) {
+        this.baseSpeed = speed;
+    }
+
+    getBaseSpeed() {
+        return this.baseSpeed;
+    }
+
+    /**
+     * Add a modifier, replacing any with the same name
+     * @param {string} name - e.g. 'solarBoost'
+     * @param {number} multiplier - Speed multiplier
+     * @param {Object} options - { duration } in ms (default: until removed);
+     *                           { ease: true } fades it back to 1 over its duration
+     */
+    add(name, multiplier, { duration = Infinity, ease = false } = {}) {
+        this.modifiers.set(name, { multiplier, duration, remaining: duration, ease: ease && Number.isFinite(duration) });
+    }
+
+    remove(name) {
+        this.modifiers.delete(name);
+    }
+
+    has(name) {
+        return this.modifiers.has(name);
+    }
+
+    // Run the timed modifiers' clocks by one tick (deltaTime in ms)
+    update(deltaTime) {
+        for (const [name, modifier] of this.modifiers) {
+            modifier.remaining -= deltaTime;
+            if (modifier.remaining <= 0) {
+                this.modifiers.delete(name);
+            }
+        }
+    }
+
+    getMultiplier() {
+        let multiplier = 1;
+        for (const modifier of this.modifiers.values()) {
+            multiplier *= getModifierMultiplier(modifier);
+        }
+        return multiplier;
+    }
+
+    getSpeed() {
+        return this.baseSpeed * this.getMultiplier();
+    }
+
+    // Active modifiers for debugging: [{ name, multiplier, remaining }]
+    getModifiers() {
+        return [...this.modifiers].map(([name, modifier]) => ({
+            name,
+            multiplier: getModifierMultiplier(modifier),
+            remaining: modifier.remaining
+        }));
+    }
+
+    clear() {
+        this.modifiers.clear();
+    }
+}
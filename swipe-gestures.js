@@ -0,0 +1,110 @@
+// swipe-gestures.js
+// Swipe recognizer for touch screens: left/right/up/down, one swipe per finger.
+//
+// A swipe fires as soon as the finger has travelled SWIPE_MIN_DISTANCE, without
+// waiting for it to lift, so a quick thumb movement registers immediately. A short
+// flick that lifts before that distance still counts if it was fast enough.
+// Every finger is tracked separately, so two thumbs can swipe independently.
+
+import { TOUCH_CONFIG } from './constants.js';
+
+export class SwipeGestureRecognizer {
+    /**
+     * @param {HTMLElement} element - Surface to listen on (the game canvas)
+     * @param {Function} onSwipe - callback(direction) with 'left', 'right', 'up' or 'down'
+     * @param {Object} config - Thresholds, defaults to TOUCH_CONFIG
+     */
+    constructor(element, onSwipe, config = TOUCH_CONFIG) {
+        this.element = element;
+        this.onSwipe = onSwipe;
+        this.config = config;
+
+        // Active touches by identifier: { startX, startY, startTime, fired }
+        this.touches = new Map();
+
+        this.handleTouchStart = (event) => this.onTouchStart(event);
+        this.handleTouchMove = (event) => this.onTouchMove(event);
+        this.handleTouchEnd = (event) => this.onTouchEnd(event);
+        this.handleTouchCancel = (event) => this.onTouchCancel(event);
+
+        // Not passive: swipes must not scroll or zoom the page
+        this.element.addEventListener('touchstart', this.handleTouchStart, { passive: false });
+        this.element.addEventListener('touchmove', this.handleTouchMove, { passive: false });
+        this.element.addEventListener('touchend', this.handleTouchEnd, { passive: false });
+        this.element.addEventListener('touchcancel', this.handleTouchCancel);
+    }
+
+    onTouchStart(event) {
+        event.preventDefault();
+        for (const touch of event.changedTouches) {
+            this.touches.set(touch.identifier, {
+                startX: touch.clientX,
+                startY: touch.clientY,
+                startTime: event.timeStamp,
+                fired: false
+            });
+        }
+    }
+
+    onTouchMove(event) {
+        event.preventDefault();
+        for (const touch of event.changedTouches) {
+            const tracked = this.touches.get(touch.identifier);
+            if (!tracked || tracked.fired) continue;
+
+            const deltaX = touch.clientX - tracked.startX;
+            const deltaY = touch.clientY - tracked.startY;
+            if (Math.hypot(deltaX, deltaY) >= this.config.SWIPE_MIN_DISTANCE) {
+                this.fire(tracked, deltaX, deltaY, event.timeStamp);
+            }
+        }
+    }
+
+    onTouchEnd(event) {
+        event.preventDefault();
+        for (const touch of event.changedTouches) {
+            const tracked = this.touches.get(touch.identifier);
+            this.touches.delete(touch.identifier);
+            if (!tracked || tracked.fired) continue;
+
+            // Flick: too short for a swipe, but fast
+            const deltaX = touch.clientX - tracked.startX;
+            const deltaY = touch.clientY - tracked.startY;
+            const distance = Math.hypot(deltaX, deltaY);
+            const duration = Math.max(event.timeStamp - tracked.startTime, 1);
+            if (distance >= this.config.FLICK_MIN_DISTANCE && distance / duration >= this.config.SWIPE_MIN_VELOCITY) {
+                this.fire(tracked, deltaX, deltaY, event.timeStamp);
+            }
+        }
+    }
+
+    onTouchCancel(event) {
+        for (const touch of event.changedTouches) {
+            this.touches.delete(touch.identifier);
+        }
+    }
+
+    fire(tracked, deltaX, deltaY, time) {
+        tracked.fired = true;
+
+        // Slow drags (e.g. resting a thumb and sliding it) are not swipes
+        if (time - tracked.startTime > this.config.SWIPE_MAX_DURATION) return;
+
+        const direction = Math.abs(deltaX) > Math.abs(deltaY) ?
+            (deltaX < 0 ? 'left' : 'right') :
+            (deltaY < 0 ? 'up' : 'down');
+        this.onSwipe(direction);
+    }
+
+    reset() {
+        this.touches.clear();
+    }
+
+    destroy() {
+        this.element.removeEventListener('touchstart', this.handleTouchStart);
+        this.element.removeEventListener('touchmove', this.handleTouchMove);
+        this.element.removeEventListener('touchend', this.handleTouchEnd);
+        this.element.removeEventListener('touchcancel', this.handleTouchCancel);
+        this.touches.clear();
+    }
+}
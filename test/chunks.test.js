@@ -0,0 +1,64 @@
+// test/chunks.test.js
+// Chunk library validation and picks (chunks.js)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { ChunkLibrary, parseChunkLibrary } from '../chunks.js';
+import { SeededRandom } from '../random.js';
+import { getDifficultySettings } from '../difficulty.js';
+import { CHUNK_CONFIG, DIFFICULTY_PRESETS } from '../constants.js';
+
+function chunk(id, obstacles, weights = [1]) {
+    return { id: id, weights: weights, length: 10, obstacles: obstacles, collectibles: [] };
+}
+
+test('chunks are only picked once every obstacle type in them is unlocked', () => {
+    const library = new ChunkLibrary([
+        chunk('cones', [{ type: 'cone', lane: 0, z: 0 }]),
+        chunk('arms', [{ type: 'barrierArm', lane: 0, z: 0 }, { type: 'cone', lane: 2, z: 0 }])
+    ]);
+    const rng = new SeededRandom(4);
+
+    for (let i = 0; i < 50; i++) {
+        assert.equal(library.pickChunk(0, ['cone', 'pothole'], rng).id, 'cones');
+    }
+    assert.equal(library.pickChunk(0, ['pothole'], rng), null);
+});
+
+test('the shipped chunks only use types unlocked by the stages they are weighted for', async () => {
+    const libraryUrl = new URL(`../${CHUNK_CONFIG.LIBRARY_PATH}`, import.meta.url);
+    const library = parseChunkLibrary(JSON.parse(await readFile(libraryUrl, 'utf8')));
+    const rng = new SeededRandom(8);
+
+    for (const difficulty of Object.keys(DIFFICULTY_PRESETS)) {
+        for (const stage of DIFFICULTY_PRESETS[difficulty].STAGES) {
+            const settings = getDifficultySettings(difficulty, stage.DISTANCE);
+            for (let i = 0; i < 20; i++) {
+                const picked = library.pickChunk(settings.chunkTier, settings.obstacleTypes, rng);
+                if (!picked) break;
+                for (const obstacle of picked.obstacles) {
+                    assert.ok(settings.obstacleTypes.includes(obstacle.type),
+                        `${picked.id} uses locked ${obstacle.type} on ${difficulty} at ${stage.DISTANCE}`);
+                }
+            }
+        }
+    }
+});
+
+test('a chunk that blocks every lane with obstacles to dodge is dropped at load time', () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        const library = parseChunkLibrary({
+            version: 1,
+            chunks: [
+                chunk('wall', [0, 1, 2].map(lane => ({ type: 'trafficBarrier', lane: lane, z: 4 }))),
+                chunk('jumps', [0, 1, 2].map(lane => ({ type: 'pothole', lane: lane, z: 4 })))
+            ]
+        });
+        assert.deepEqual(library.chunks.map(({ id }) => id), ['jumps']);
+    } finally {
+        console.warn = warn;
+    }
+});
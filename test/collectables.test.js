@@ -0,0 +1,40 @@
+// test/collectables.test.js
+// CollectableManager spawns (collectables.js) draw the same seeded values whether or not GLB models have loaded
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { CollectableManager } from '../collectables.js';
+import { SeededRandom } from '../random.js';
+
+// Manager whose GLB models have either all loaded or not loaded at all
+function createManager(seed, modelsLoaded) {
+    const manager = new CollectableManager(new THREE.Scene(), new SeededRandom(seed), { loadModels: false });
+    if (modelsLoaded) {
+        for (const type of Object.keys(manager.modelConfig)) {
+            manager.loadedModels.set(type, new THREE.Group());
+        }
+        manager.priorityModelsLoaded = true;
+        manager.allModelsLoaded = true;
+    }
+    return manager;
+}
+
+// Spawn a mix of collectibles, then report what spawned and where the seeded stream ended up
+function spawnMix(manager) {
+    for (let i = 0; i < 20; i++) {
+        manager.createCollectable(-i * 10, []);
+        manager.createPowerUp(-i * 10, []);
+    }
+    return {
+        spawned: manager.collectables.map(({ type, mesh }) => [type, mesh.position.toArray()]),
+        nextDraw: manager.rng.next()
+    };
+}
+
+test('collectible and power-up spawns do not depend on which models have loaded', () => {
+    const withoutModels = spawnMix(createManager(9, false));
+    const withModels = spawnMix(createManager(9, true));
+    assert.equal(withoutModels.spawned.length, 40);
+    assert.deepEqual(withModels, withoutModels);
+});
@@ -0,0 +1,87 @@
+// test/collision-utils.test.js
+// CollisionUtils and PositionTracker (collision-utils.js)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { CollisionUtils, PositionTracker } from '../collision-utils.js';
+import { PHYSICS } from '../constants.js';
+
+// Box of the given size centred on (x, y, z)
+function boxAt(x, y, z, size = 1) {
+    const half = size / 2;
+    return new THREE.Box3(new THREE.Vector3(x - half, y - half, z - half), new THREE.Vector3(x + half, y + half, z + half));
+}
+
+test('checkSweptCollision detects overlapping boxes', () => {
+    const playerBox = boxAt(0, 0, 0);
+    assert.equal(CollisionUtils.checkSweptCollision(playerBox, new THREE.Vector3(0, 0, 0), boxAt(0.5, 0, 0)), true);
+    assert.equal(CollisionUtils.checkSweptCollision(playerBox, new THREE.Vector3(0, 0, 0), boxAt(3, 0, 0)), false);
+});
+
+test('checkSweptCollision catches an object passed through between ticks', () => {
+    // The player moved from z = 4 to z = 0 and skipped over an object at z = 2
+    const playerBox = boxAt(0, 0, 0);
+    const objectBox = boxAt(0, 0, 2, 0.2);
+    assert.equal(playerBox.intersectsBox(objectBox), false);
+    assert.equal(CollisionUtils.checkSweptCollision(playerBox, new THREE.Vector3(0, 0, 4), objectBox), true);
+    // ...but not one off to the side of the path
+    assert.equal(CollisionUtils.checkSweptCollision(playerBox, new THREE.Vector3(0, 0, 4), boxAt(2, 0, 2, 0.2)), false);
+});
+
+test('checkSweptCollision only predicts ahead at very high speeds', () => {
+    const playerBox = boxAt(0, 0, 0);
+    const objectBox = boxAt(0, 0, 0.8, 0.2); // Just behind the player box
+    const here = new THREE.Vector3(0, 0, 0);
+    const fast = PHYSICS.HIGH_SPEED_THRESHOLD * 1.3 + 0.1;
+    assert.equal(CollisionUtils.checkSweptCollision(playerBox, here, objectBox, PHYSICS.HIGH_SPEED_THRESHOLD), false);
+    assert.equal(CollisionUtils.checkSweptCollision(playerBox, here, objectBox, fast), true);
+});
+
+test('checkCollectableCollision widens the pickup box with speed and magnet', () => {
+    const playerBox = boxAt(0, 0, 0);
+    const justOutOfReach = PHYSICS.COLLECTABLE_EXPANSION_BASE + 0.1;
+    const collectableBox = boxAt(1 + justOutOfReach, 0, 0);
+
+    assert.equal(CollisionUtils.checkCollectableCollision(playerBox, boxAt(0.5, 0, 0)), true);
+    assert.equal(CollisionUtils.checkCollectableCollision(playerBox, collectableBox, 0, false), false);
+    assert.equal(CollisionUtils.checkCollectableCollision(playerBox, collectableBox, 0, true), true);
+    assert.equal(CollisionUtils.checkCollectableCollision(playerBox, collectableBox, PHYSICS.HIGH_SPEED_THRESHOLD + 0.1, false), true);
+});
+
+test('isSafeDistance grows the safe distance with speed', () => {
+    const player = new THREE.Vector3(0, 0, 0);
+    const base = PHYSICS.SAFE_SPAWN_DISTANCE_BASE;
+    assert.equal(CollisionUtils.isSafeDistance(player, new THREE.Vector3(0, 0, -base), 0), true);
+    assert.equal(CollisionUtils.isSafeDistance(player, new THREE.Vector3(0, 0, -(base - 0.1)), 0), false);
+    assert.equal(CollisionUtils.isSafeDistance(player, new THREE.Vector3(0, 0, -base), 0.2), false);
+});
+
+test('getSpeedAdjustedCollisionSize grows up to 10% and leaves the input alone', () => {
+    const baseSize = new THREE.Vector3(1, 2, 3);
+    assert.deepEqual(CollisionUtils.getSpeedAdjustedCollisionSize(baseSize, 0).toArray(), [1, 2, 3]);
+
+    const fast = CollisionUtils.getSpeedAdjustedCollisionSize(baseSize, 10);
+    const maxFactor = 1 + PHYSICS.MAX_COLLISION_BOX_EXPANSION * 0.1;
+    assert.ok(Math.abs(fast.x - maxFactor) < 1e-9);
+    assert.ok(Math.abs(fast.z - 3 * maxFactor) < 1e-9);
+    assert.deepEqual(baseSize.toArray(), [1, 2, 3]);
+});
+
+test('PositionTracker stores copies and forgets cleared objects', () => {
+    const tracker = new PositionTracker();
+    const position = new THREE.Vector3(1, 2, 3);
+    assert.equal(tracker.getPreviousPosition('a'), null);
+
+    tracker.updatePosition('a', position);
+    position.set(9, 9, 9);
+    assert.deepEqual(tracker.getPreviousPosition('a').toArray(), [1, 2, 3]);
+
+    tracker.updatePosition('b', new THREE.Vector3());
+    tracker.clearPosition('a');
+    assert.equal(tracker.getPreviousPosition('a'), null);
+    assert.notEqual(tracker.getPreviousPosition('b'), null);
+
+    tracker.clearAll();
+    assert.equal(tracker.getPreviousPosition('b'), null);
+});
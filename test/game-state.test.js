@@ -0,0 +1,98 @@
+// test/game-state.test.js
+// GameStateManager transitions (game-state.js)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameStateManager, STATES } from '../game-state.js';
+
+globalThis.window = globalThis.window || {}; // changeState reads window.gameDebug
+
+// Manager plus the list of [state, previousState] changes it announced
+function createManager() {
+    const manager = new GameStateManager();
+    const changes = [];
+    manager.onStateChange((state, previousState) => changes.push([state, previousState]));
+    return { manager, changes };
+}
+
+test('starts on the splash screen', () => {
+    const { manager } = createManager();
+    assert.equal(manager.getCurrentState(), STATES.SPLASH);
+    assert.equal(manager.isPaused(), false);
+});
+
+test('announces each change with the previous state, and ignores no-op changes', () => {
+    const { manager, changes } = createManager();
+    manager.returnToMenu();
+    manager.returnToMenu();
+    manager.startGame();
+    assert.deepEqual(changes, [
+        [STATES.START_MENU, STATES.SPLASH],
+        [STATES.PLAYING, STATES.START_MENU]
+    ]);
+});
+
+test('pause and resume only apply to a run in progress', () => {
+    const { manager, changes } = createManager();
+    manager.pauseGame(); // Still on the splash screen
+    manager.resumeGame();
+    assert.equal(changes.length, 0);
+
+    manager.startGame();
+    manager.pauseGame();
+    assert.equal(manager.isPaused(), true);
+    manager.resumeGame();
+    assert.equal(manager.getCurrentState(), STATES.PLAYING);
+    assert.deepEqual(changes.map(([state]) => state), [STATES.PLAYING, STATES.PAUSED, STATES.PLAYING]);
+});
+
+test('a run ends through game over and name entry to the leaderboard', () => {
+    const { manager, changes } = createManager();
+    manager.startGame();
+    manager.endGame(1234, { blueprints: 3, waterDrops: 4, energyCells: 5, bestMultiplier: 2 });
+    manager.showUserInfoScreen();
+    manager.saveUserInfo('Ada');
+
+    assert.deepEqual(changes.map(([state]) => state),
+        [STATES.PLAYING, STATES.GAME_OVER, STATES.USER_INFO, STATES.LEADERBOARD]);
+
+    const playerData = manager.getPlayerData();
+    assert.equal(playerData.name, 'Ada');
+    assert.equal(playerData.score, 1234);
+    assert.equal(playerData.waterDrops, 4);
+    assert.equal(playerData.bestMultiplier, 2);
+    assert.ok(playerData.date instanceof Date);
+
+    // getPlayerData hands out a copy
+    playerData.score = 0;
+    assert.equal(manager.getPlayerData().score, 1234);
+});
+
+test('menu screens are reachable and lead back to the start menu', () => {
+    const { manager } = createManager();
+    for (const [show, state] of [
+        ['showSettings', STATES.SETTINGS],
+        ['showShop', STATES.SHOP],
+        ['showAchievements', STATES.ACHIEVEMENTS],
+        ['showLeaderboard', STATES.LEADERBOARD]
+    ]) {
+        manager[show]();
+        assert.equal(manager.getCurrentState(), state);
+        manager.returnToMenu();
+        assert.equal(manager.getCurrentState(), STATES.START_MENU);
+    }
+});
+
+test('the splash screen moves on to the start menu by itself; destroy cancels it', async () => {
+    const { manager } = createManager();
+    manager.startSplashScreen(5);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(manager.getCurrentState(), STATES.START_MENU);
+
+    const { manager: cancelled, changes } = createManager();
+    cancelled.startSplashScreen(5);
+    cancelled.destroy();
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(cancelled.getCurrentState(), STATES.SPLASH);
+    assert.equal(changes.length, 0);
+});
@@ -0,0 +1,85 @@
+// test/leaderboard.test.js
+// LeaderboardManager (leaderboard.js) against an in-memory localStorage
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { LeaderboardManager } from '../leaderboard.js';
+
+let store;
+globalThis.localStorage = {
+    getItem: (key) => (key in store ? store[key] : null),
+    setItem: (key, value) => { store[key] = String(value); }
+};
+
+beforeEach(() => {
+    store = {};
+});
+
+// Fresh leaderboard holding these scores
+function leaderboardWith(scores, maxEntries = 3) {
+    store = {};
+    const leaderboard = new LeaderboardManager(maxEntries);
+    scores.forEach((score, i) => leaderboard.addScore({ name: `P${i}`, score }));
+    return leaderboard;
+}
+
+test('addScore keeps scores sorted, trimmed and saved', () => {
+    const leaderboard = leaderboardWith([100, 300, 200, 50]);
+    assert.deepEqual(leaderboard.getScores().map(entry => entry.score), [300, 200, 100]);
+
+    const reloaded = new LeaderboardManager(3);
+    assert.deepEqual(reloaded.getScores().map(entry => entry.score), [300, 200, 100]);
+});
+
+test('addScore returns the 1-based position and tidies the entry', () => {
+    const leaderboard = leaderboardWith([300, 100]);
+    assert.equal(leaderboard.addScore({ name: 'A very long player name', score: 200.9 }), 2);
+
+    const entry = leaderboard.getScores()[1];
+    assert.equal(entry.name, 'A very long pla');
+    assert.equal(entry.score, 200);
+    assert.equal(entry.blueprints, 0);
+    assert.equal(entry.bestMultiplier, 1);
+});
+
+test('addScore rejects entries without a name or numeric score', () => {
+    const leaderboard = leaderboardWith([]);
+    const error = console.error;
+    console.error = () => {};
+    try {
+        assert.equal(leaderboard.addScore({ score: 10 }), false);
+        assert.equal(leaderboard.addScore({ name: 'A', score: '10' }), false);
+        assert.equal(leaderboard.addScore(null), false);
+    } finally {
+        console.error = error;
+    }
+    assert.equal(leaderboard.getScores().length, 0);
+});
+
+test('getScorePosition ranks ties above the existing score', () => {
+    const leaderboard = leaderboardWith([300, 200, 100]);
+    assert.equal(leaderboard.getScorePosition(400), 1);
+    assert.equal(leaderboard.getScorePosition(200), 2);
+    assert.equal(leaderboard.getScorePosition(100), 3);
+    assert.equal(leaderboard.getScorePosition(99), 0);
+    assert.equal(leaderboardWith([300]).getScorePosition(10), 2);
+});
+
+test('qualifiesForLeaderboard needs to beat the lowest score once the board is full', () => {
+    assert.equal(leaderboardWith([300, 200]).qualifiesForLeaderboard(1), true);
+
+    const full = leaderboardWith([300, 200, 100]);
+    assert.equal(full.qualifiesForLeaderboard(101), true);
+    assert.equal(full.qualifiesForLeaderboard(100), false);
+});
+
+test('a corrupt save loads as an empty leaderboard', () => {
+    store.infraRunnerLeaderboard = '{not json';
+    const error = console.error;
+    console.error = () => {};
+    try {
+        assert.deepEqual(new LeaderboardManager().getScores(), []);
+    } finally {
+        console.error = error;
+    }
+});
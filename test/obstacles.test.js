@@ -0,0 +1,101 @@
+// test/obstacles.test.js
+// ObstacleManager passability check (obstacles.js isPassableWith / choosePassableType)
+// against hand-placed rows ahead of a stub player
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { ObstacleManager } from '../obstacles.js';
+import { SeededRandom } from '../random.js';
+import { getDifficultySettings } from '../difficulty.js';
+import { DEFAULT_DIFFICULTY, LANES } from '../constants.js';
+
+const GAME_SPEED = 0.2;
+const ALL_LANES = [LANES.LEFT, LANES.CENTER, LANES.RIGHT];
+
+// Manager with a grounded player at z = 0 in playerLane, and obstacles given as [type, lane, z]
+function createManager(obstacles, playerLane = LANES.CENTER) {
+    const manager = new ObstacleManager(new THREE.Scene(), new SeededRandom(1), { loadModels: false });
+    const player = {
+        isJumping: false,
+        velocityY: 0,
+        mesh: { position: new THREE.Vector3(0, 0, 0) },
+        getLane: () => playerLane
+    };
+    manager.setGameController({
+        player: player,
+        getPlayerPosition: () => player.mesh.position,
+        getGameSpeed: () => GAME_SPEED,
+        getDifficultySettings: () => getDifficultySettings(DEFAULT_DIFFICULTY, 0)
+    });
+    manager.obstacles = obstacles.map(([type, lane, z]) => ({
+        type: type,
+        lane: lane,
+        mesh: { position: new THREE.Vector3(LANES.POSITIONS[lane], 0, z) }
+    }));
+    return manager;
+}
+
+// A row of type across every lane at z
+function fullRow(type, z) {
+    return ALL_LANES.map(lane => [type, lane, z]);
+}
+
+// A row of type in the side lanes at z, which a centre-lane candidate completes
+function sideLanes(type, z) {
+    return [[type, LANES.LEFT, z], [type, LANES.RIGHT, z]];
+}
+
+test('a jump right after a slide, or a slide right after a jump, is not passable', () => {
+    const afterSlide = createManager([...fullRow('scaffoldingBeam', -6), ...sideLanes('pothole', -7.3)]);
+    assert.equal(afterSlide.isPassableWith({ type: 'pothole', lane: LANES.CENTER, z: -7.3 }), false);
+
+    const afterJump = createManager([...fullRow('pothole', -6), ...sideLanes('barrierArm', -7.3)]);
+    assert.equal(afterJump.isPassableWith({ type: 'barrierArm', lane: LANES.CENTER, z: -7.3 }), false);
+});
+
+test('a jump and a slide far enough apart for the player to land between them are passable', () => {
+    const afterSlide = createManager([...fullRow('scaffoldingBeam', -6), ...sideLanes('pothole', -11)]);
+    assert.equal(afterSlide.isPassableWith({ type: 'pothole', lane: LANES.CENTER, z: -11 }), true);
+
+    const afterJump = createManager([...fullRow('pothole', -6), ...sideLanes('barrierArm', -14)]);
+    assert.equal(afterJump.isPassableWith({ type: 'barrierArm', lane: LANES.CENTER, z: -14 }), true);
+});
+
+test('back-to-back rows of the same kind are cleared by one jump or one slide', () => {
+    const jumps = createManager([...fullRow('pothole', -6), ...sideLanes('rubble', -7.3)]);
+    assert.equal(jumps.isPassableWith({ type: 'rubble', lane: LANES.CENTER, z: -7.3 }), true);
+
+    const slides = createManager([...fullRow('hangingSign', -6), ...sideLanes('barrierArm', -7.3)]);
+    assert.equal(slides.isPassableWith({ type: 'barrierArm', lane: LANES.CENTER, z: -7.3 }), true);
+});
+
+test('only lanes the player can shift into before a row count as open', () => {
+    // From the left lane the right lane is two lane changes away
+    const near = createManager([['cone', LANES.LEFT, -1]], LANES.LEFT);
+    assert.equal(near.isPassableWith({ type: 'constructionBarrier', lane: LANES.CENTER, z: -1 }), false);
+
+    const far = createManager([['cone', LANES.LEFT, -20]], LANES.LEFT);
+    assert.equal(far.isPassableWith({ type: 'constructionBarrier', lane: LANES.CENTER, z: -20 }), true);
+});
+
+test('a slot that would wall off the road gets a jumpable type, or is skipped', () => {
+    const manager = createManager([['cone', LANES.LEFT, -8], ['trafficBarrier', LANES.RIGHT, -8]]);
+    const type = manager.choosePassableType({ type: 'cone', lane: LANES.CENTER }, -8);
+    assert.ok(manager.isJumpable(type), `${type} is not jumpable`);
+
+    const walledOff = createManager([...fullRow('scaffoldingBeam', -6), ...sideLanes('cone', -7.3)]);
+    assert.equal(walledOff.choosePassableType({ type: 'cone', lane: LANES.CENTER }, -7.3), null);
+});
+
+test('a chunk is spawned as authored, or left out whole when it would wall off the road', () => {
+    const potholeRow = { id: 'potholes', obstacles: ALL_LANES.map(lane => ({ type: 'pothole', lane: lane, z: 0 })), collectibles: [] };
+
+    const blocked = createManager(fullRow('scaffoldingBeam', -6));
+    blocked.spawnChunk(potholeRow, -7.3);
+    assert.deepEqual(blocked.obstacles.map(({ type }) => type), ['scaffoldingBeam', 'scaffoldingBeam', 'scaffoldingBeam']);
+
+    const clear = createManager(fullRow('scaffoldingBeam', -6));
+    clear.spawnChunk(potholeRow, -30);
+    assert.deepEqual(clear.obstacles.slice(3).map(({ type, lane }) => [type, lane]), ALL_LANES.map(lane => ['pothole', lane]));
+});
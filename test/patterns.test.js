@@ -0,0 +1,121 @@
+// test/patterns.test.js
+// Obstacle and collectible pattern generators (ObstacleManager.generatePatternSlot,
+// CollectableManager.generateCollectibleSlot) with seeded streams
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { ObstacleManager } from '../obstacles.js';
+import { CollectableManager } from '../collectables.js';
+import { SeededRandom } from '../random.js';
+import { getDifficultySettings } from '../difficulty.js';
+import { getCollectablePowerUpIds } from '../powerup-registry.js';
+import { COLLECTABLE_SPAWN_WEIGHTS, DEFAULT_DIFFICULTY } from '../constants.js';
+
+const SLOTS = 2000;
+const EPSILON = 1e-9;
+
+function createObstacleManager(seed) {
+    return new ObstacleManager(new THREE.Scene(), new SeededRandom(seed), { loadModels: false });
+}
+
+function createCollectableManager(seed) {
+    return new CollectableManager(new THREE.Scene(), new SeededRandom(seed), { loadModels: false });
+}
+
+// Difficulty the managers fall back to without a simulation
+const settings = getDifficultySettings(DEFAULT_DIFFICULTY, 0);
+
+test('the same seed generates the same obstacle and collectible patterns', () => {
+    const slots = (manager, generate) => Array.from({ length: 200 }, () => generate.call(manager));
+    assert.deepEqual(
+        slots(createObstacleManager(42), ObstacleManager.prototype.generatePatternSlot),
+        slots(createObstacleManager(42), ObstacleManager.prototype.generatePatternSlot)
+    );
+    assert.deepEqual(
+        slots(createCollectableManager(42), CollectableManager.prototype.generateCollectibleSlot),
+        slots(createCollectableManager(42), CollectableManager.prototype.generateCollectibleSlot)
+    );
+    assert.notDeepEqual(
+        slots(createObstacleManager(42), ObstacleManager.prototype.generatePatternSlot),
+        slots(createObstacleManager(43), ObstacleManager.prototype.generatePatternSlot)
+    );
+});
+
+test('obstacle slots follow the difficulty spacing, types, lanes and density', () => {
+    const manager = createObstacleManager(7);
+    let filled = 0;
+
+    for (let i = 0; i < SLOTS; i++) {
+        const patternStart = manager.patternIndex >= manager.PATTERN_LENGTH;
+        const previousPosition = patternStart ? 0 : manager.patternPosition;
+        const slot = manager.generatePatternSlot();
+
+        const spacing = manager.patternPosition - previousPosition;
+        assert.ok(spacing >= settings.obstacleSpacing.min - EPSILON && spacing <= settings.obstacleSpacing.max + EPSILON,
+            `spacing ${spacing} outside ${JSON.stringify(settings.obstacleSpacing)}`);
+        if (!slot) continue;
+
+        filled++;
+        assert.equal(slot.position, manager.patternPosition);
+        assert.ok(settings.obstacleTypes.includes(slot.type), `locked type ${slot.type}`);
+        assert.ok([0, 1, 2].includes(slot.lane));
+    }
+
+    assert.ok(Math.abs(filled / SLOTS - settings.obstacleDensity) < 0.05, `density ${filled / SLOTS}`);
+});
+
+test('the obstacle pattern starts over after PATTERN_LENGTH slots', () => {
+    const manager = createObstacleManager(3);
+    for (let i = 0; i < manager.PATTERN_LENGTH; i++) {
+        manager.generatePatternSlot();
+    }
+    assert.ok(manager.patternPosition > settings.obstacleSpacing.max * 10);
+
+    manager.generatePatternSlot();
+    assert.equal(manager.patternIndex, 1);
+    assert.ok(manager.patternPosition <= settings.obstacleSpacing.max);
+});
+
+test('obstacle slots pick up a difficulty change on the very next slot', () => {
+    const manager = createObstacleManager(11);
+    let current = settings;
+    manager.setGameController({ getDifficultySettings: () => current });
+    for (let i = 0; i < 10; i++) {
+        manager.generatePatternSlot();
+    }
+
+    current = { ...settings, obstacleTypes: ['barrierArm'], obstacleDensity: 1 };
+    for (let i = 0; i < 10; i++) {
+        assert.equal(manager.generatePatternSlot().type, 'barrierArm');
+    }
+});
+
+test('collectible slots follow the spacing range and difficulty densities', () => {
+    const manager = createCollectableManager(5);
+    const powerUpIds = getCollectablePowerUpIds();
+    let filled = 0;
+    let powerUps = 0;
+
+    for (let i = 0; i < SLOTS; i++) {
+        const patternStart = manager.collectiblePatternIndex >= manager.COLLECTIBLE_PATTERN_LENGTH;
+        const previousPosition = patternStart ? 0 : manager.collectiblePatternPosition;
+        const slot = manager.generateCollectibleSlot();
+
+        const spacing = manager.collectiblePatternPosition - previousPosition;
+        assert.ok(spacing >= manager.MIN_COLLECTIBLE_SPACING && spacing <= manager.MAX_COLLECTIBLE_SPACING);
+        if (!slot) continue;
+
+        filled++;
+        assert.ok([0, 1, 2].includes(slot.lane));
+        if (slot.isPowerUp) {
+            powerUps++;
+            assert.ok(powerUpIds.includes(slot.type), `${slot.type} is not a power-up`);
+        } else {
+            assert.ok(COLLECTABLE_SPAWN_WEIGHTS.REGULAR.includes(slot.type), `${slot.type} is not a regular collectible`);
+        }
+    }
+
+    assert.ok(Math.abs(filled / SLOTS - settings.collectibleDensity) < 0.05, `density ${filled / SLOTS}`);
+    assert.ok(Math.abs(powerUps / filled - settings.powerUpDensity) < 0.05, `power-up share ${powerUps / filled}`);
+});
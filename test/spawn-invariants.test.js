@@ -0,0 +1,104 @@
+// test/spawn-invariants.test.js
+// Seeded spawn invariants, checked over many headless runs (headless.js)
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessSimulation, playHeadlessRun } from '../headless.js';
+import { LANES } from '../constants.js';
+
+const SEEDS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+const DIFFICULTIES = ['EASY', 'NORMAL', 'HARD'];
+const MAX_TICKS = 1800;
+// Spawned collectibles keep at least this far (x-z) from every obstacle
+const MIN_OBSTACLE_CLEARANCE = 2.5;
+
+let simulation;
+const consoleLog = console.log;
+const consoleWarn = console.warn;
+
+before(async () => {
+    // The managers log every spawn
+    console.log = () => {};
+    console.warn = () => {};
+    simulation = await createHeadlessSimulation();
+});
+
+after(() => {
+    console.log = consoleLog;
+    console.warn = consoleWarn;
+});
+
+// Every seed on every difficulty, calling onTick after each simulation step
+function playAllRuns(onTick) {
+    simulation.on('tick', onTick);
+    try {
+        for (const seed of SEEDS) {
+            for (const difficulty of DIFFICULTIES) {
+                playHeadlessRun(simulation, seed, { maxTicks: MAX_TICKS, difficulty });
+            }
+        }
+    } finally {
+        simulation.off('tick', onTick);
+    }
+}
+
+test('no collectible spawns within 2.5 units of an obstacle', () => {
+    const collectableManager = simulation.collectableManager;
+
+    // Chunk layouts place their collectibles by design
+    const authored = new WeakSet();
+    const spawnAuthoredCollectible = collectableManager.spawnAuthoredCollectible;
+    collectableManager.spawnAuthoredCollectible = function (...args) {
+        const count = this.collectables.length;
+        const result = spawnAuthoredCollectible.apply(this, args);
+        this.collectables.slice(count).forEach(collectable => authored.add(collectable));
+        return result;
+    };
+
+    const seen = new WeakSet();
+    const violations = [];
+    let checked = 0;
+    try {
+        playAllRuns(() => {
+            for (const collectable of collectableManager.collectables) {
+                if (seen.has(collectable)) continue;
+                seen.add(collectable);
+                // Aerial stars only spawn in the sky while flying, above everything
+                if (authored.has(collectable) || collectable.type === 'aerialStar') continue;
+
+                checked++;
+                const position = collectable.mesh.position;
+                for (const obstacle of simulation.getObstacles()) {
+                    const distance = Math.hypot(position.x - obstacle.mesh.position.x, position.z - obstacle.mesh.position.z);
+                    if (distance < MIN_OBSTACLE_CLEARANCE) {
+                        violations.push(`${collectable.type} ${distance.toFixed(2)} from ${obstacle.type} (seed ${simulation.getRunSeed()})`);
+                    }
+                }
+            }
+        });
+    } finally {
+        delete collectableManager.spawnAuthoredCollectible;
+    }
+
+    assert.ok(checked > 300, `only ${checked} collectibles spawned`);
+    assert.deepEqual(violations, []);
+});
+
+test('obstacles only spawn in the three lanes', () => {
+    const lanes = [LANES.LEFT, LANES.CENTER, LANES.RIGHT];
+    const badLanes = new Set();
+    playAllRuns(() => {
+        for (const obstacle of simulation.getObstacles()) {
+            if (!lanes.includes(obstacle.lane)) badLanes.add(obstacle.lane);
+        }
+    });
+    assert.deepEqual([...badLanes], []);
+});
+
+test('the same seed and difficulty play out the same run', () => {
+    for (const difficulty of DIFFICULTIES) {
+        const first = playHeadlessRun(simulation, 7, { maxTicks: MAX_TICKS, difficulty });
+        const second = playHeadlessRun(simulation, 7, { maxTicks: MAX_TICKS, difficulty });
+        assert.deepEqual(second, first);
+    }
+});
@@ -1,3 +1,6 @@
+import { KEY_SLOTS, BUTTON_SLOTS, formatKey, formatButton } from './bindings.js';
+import { CURRENCY_CONFIG } from './constants.js';
+
 export class UIManager {
     constructor() {
         this.scoreElement = null;
@@ -6,6 +9,10 @@ export class UIManager {
         this.startMenuElement = null;    
         this.userInfoElement = null;     
         this.leaderboardElement = null;  
+        this.pauseMenuElement = null;
+        this.settingsElement = null;
+        this.shopElement = null;
+        this.achievementsElement = null;
 
         this.powerUpElements = [];
         this.activePowerUps = [];
@@ -14,17 +21,25 @@ export class UIManager {
         this.blueprints = 0;
         this.waterDrops = 0;
         this.energyCells = 0;
+        this.lives = 1;
+        this.maxLives = 1;
+        this.bestMultiplier = 1;
         
         this.createUI();
     }
 
     createUI() {
         this.createScoreDisplay();
+        this.createComboDisplay();
         this.createGameOverScreen();
         this.createSplashScreen();
         this.createStartMenuScreen();
         this.createUserInfoScreen();
         this.createLeaderboardScreen();
+        this.createPauseScreen();
+        this.createSettingsScreen();
+        this.createShopScreen();
+        this.createAchievementsScreen();
     }
 
     createScoreDisplay() {
@@ -34,6 +49,21 @@ export class UIManager {
         this.updateScoreDisplay();
     }
 
+    createComboDisplay() {
+        this.comboElement = document.createElement('div');
+        this.comboElement.className = 'combo-display';
+        this.comboElement.innerHTML = `
+            <div class="combo-multiplier"></div>
+            <div class="combo-chain"></div>
+            <div class="combo-bar"><div class="combo-bar-fill"></div></div>
+        `;
+        this.comboMultiplierElement = this.comboElement.querySelector('.combo-multiplier');
+        this.comboChainElement = this.comboElement.querySelector('.combo-chain');
+        this.comboBarElement = this.comboElement.querySelector('.combo-bar-fill');
+        document.body.appendChild(this.comboElement);
+        this.setCombo(0, 1);
+    }
+
     createGameOverScreen() {
         this.gameOverElement = document.createElement('div');
         this.gameOverElement.className = 'game-over';
@@ -79,9 +109,57 @@ export class UIManager {
         playBtn.className = 'menu-button';
         playBtn.innerText = 'Play';
         
+        // Replay loading goes through a hidden file picker
+        const replayBtn = document.createElement('button');
+        replayBtn.className = 'menu-button';
+        replayBtn.innerText = 'Load Replay';
+        
+        const replayInput = document.createElement('input');
+        replayInput.type = 'file';
+        replayInput.accept = '.json,application/json';
+        replayInput.style.display = 'none';
+        
+        // Why the last replay file couldn't be played (showReplayError)
+        this.replayErrorElement = document.createElement('div');
+        this.replayErrorElement.className = 'replay-error';
+        this.hideElement(this.replayErrorElement);
+        
+        const settingsBtn = document.createElement('button');
+        settingsBtn.className = 'menu-button';
+        settingsBtn.innerText = 'Controls';
+        
+        const shopBtn = document.createElement('button');
+        shopBtn.className = 'menu-button';
+        shopBtn.innerText = 'Shop';
+        
+        const achievementsBtn = document.createElement('button');
+        achievementsBtn.className = 'menu-button';
+        achievementsBtn.innerText = 'Achievements';
+        
+        // Filled in by createDifficultySelector once the presets are known
+        this.difficultySelectorElement = document.createElement('div');
+        this.difficultySelectorElement.className = 'difficulty-selector';
+        
+        // Filled in by createTouchLayoutSelector
+        this.touchLayoutSelectorElement = document.createElement('div');
+        this.touchLayoutSelectorElement.className = 'touch-layout-selector';
+        
+        // Filled in by renderMissions
+        this.missionPanelElement = document.createElement('div');
+        this.missionPanelElement.className = 'mission-panel';
+        
         this.startMenuElement.appendChild(title);
         this.startMenuElement.appendChild(subtitle);
+        this.startMenuElement.appendChild(this.difficultySelectorElement);
         this.startMenuElement.appendChild(playBtn);
+        this.startMenuElement.appendChild(replayBtn);
+        this.startMenuElement.appendChild(replayInput);
+        this.startMenuElement.appendChild(this.replayErrorElement);
+        this.startMenuElement.appendChild(settingsBtn);
+        this.startMenuElement.appendChild(shopBtn);
+        this.startMenuElement.appendChild(achievementsBtn);
+        this.startMenuElement.appendChild(this.touchLayoutSelectorElement);
+        this.startMenuElement.appendChild(this.missionPanelElement);
         document.body.appendChild(this.startMenuElement);
         this.hideElement(this.startMenuElement);
 
@@ -92,6 +170,103 @@ export class UIManager {
                 this.onStartButtonClicked();
             }
         });
+        
+        this.onDifficultySelected = null; // callback(presetKey)
+        this.onTouchLayoutSelected = null; // callback(layoutKey)
+        
+        this.onSettingsClicked = null; // callback()
+        settingsBtn.addEventListener('click', () => {
+            if (typeof this.onSettingsClicked === 'function') {
+                this.onSettingsClicked();
+            }
+        });
+        
+        this.onShopClicked = null; // callback()
+        shopBtn.addEventListener('click', () => {
+            if (typeof this.onShopClicked === 'function') {
+                this.onShopClicked();
+            }
+        });
+        
+        this.onAchievementsClicked = null; // callback()
+        achievementsBtn.addEventListener('click', () => {
+            if (typeof this.onAchievementsClicked === 'function') {
+                this.onAchievementsClicked();
+            }
+        });
+        
+        this.onReplayFileLoaded = null; // callback(fileText)
+        replayBtn.addEventListener('click', () => replayInput.click());
+        replayInput.addEventListener('change', () => {
+            const file = replayInput.files[0];
+            replayInput.value = ''; // Allow loading the same file again
+            if (!file) return;
+            this.hideReplayError();
+            file.text().then((text) => {
+                if (typeof this.onReplayFileLoaded === 'function') {
+                    this.onReplayFileLoaded(text);
+                }
+            }).catch((error) => {
+                this.showReplayError(`Could not read ${file.name}: ${error.message}`);
+            });
+        });
+    }
+
+    // One button per difficulty preset; presets is DIFFICULTY_PRESETS
+    createDifficultySelector(presets, selectedKey) {
+        this.difficultySelectorElement.innerHTML = '';
+        
+        Object.entries(presets).forEach(([key, preset]) => {
+            const option = document.createElement('button');
+            option.className = 'difficulty-option';
+            option.dataset.difficulty = key;
+            option.innerText = preset.LABEL;
+            option.addEventListener('click', () => {
+                if (typeof this.onDifficultySelected === 'function') {
+                    this.onDifficultySelected(key);
+                }
+            });
+            this.difficultySelectorElement.appendChild(option);
+        });
+        
+        this.setSelectedDifficulty(selectedKey);
+    }
+
+    setSelectedDifficulty(presetKey) {
+        this.difficultySelectorElement.querySelectorAll('.difficulty-option').forEach(option => {
+            option.classList.toggle('selected', option.dataset.difficulty === presetKey);
+        });
+    }
+
+    // Touch controls setting; layouts is TOUCH_LAYOUTS
+    createTouchLayoutSelector(layouts, selectedKey) {
+        this.touchLayoutSelectorElement.innerHTML = '';
+        
+        const label = document.createElement('span');
+        label.className = 'touch-layout-label';
+        label.innerText = 'Touch controls:';
+        this.touchLayoutSelectorElement.appendChild(label);
+        
+        Object.entries(layouts).forEach(([key, layout]) => {
+            const option = document.createElement('button');
+            option.className = 'touch-layout-option';
+            option.dataset.layout = key;
+            option.innerText = layout.LABEL;
+            option.addEventListener('click', () => {
+                if (typeof this.onTouchLayoutSelected === 'function') {
+                    this.onTouchLayoutSelected(key);
+                }
+            });
+            this.touchLayoutSelectorElement.appendChild(option);
+        });
+        
+        this.setSelectedTouchLayout(selectedKey);
+    }
+
+    setSelectedTouchLayout(layoutKey) {
+        this.touchLayoutSelectorElement.querySelectorAll('.touch-layout-option').forEach(option => {
+            option.classList.toggle('selected', option.dataset.layout === layoutKey);
+        });
     }
 
     createUserInfoScreen() {
@@ -117,8 +292,13 @@ export class UIManager {
         const submitBtn = document.createElement('button');
         submitBtn.innerText = 'Submit Score';
         
+        const replayBtn = document.createElement('button');
+        replayBtn.className = 'user-info-replay';
+        replayBtn.innerText = 'Download Replay';
+        
         form.appendChild(input);
         form.appendChild(submitBtn);
+        form.appendChild(replayBtn);
         container.appendChild(title);
         container.appendChild(form);
         this.userInfoElement.appendChild(container);
@@ -135,6 +315,13 @@ export class UIManager {
         };
         
         submitBtn.addEventListener('click', submitScore);
+        
+        this.onDownloadReplayClicked = null; // callback()
+        replayBtn.addEventListener('click', () => {
+            if (typeof this.onDownloadReplayClicked === 'function') {
+                this.onDownloadReplayClicked();
+            }
+        });
         input.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') submitScore();
         });
@@ -175,6 +362,346 @@ export class UIManager {
         });
     }
 
+    createPauseScreen() {
+        this.pauseMenuElement = document.createElement('div');
+        this.pauseMenuElement.className = 'pause-menu';
+
+        const title = document.createElement('h2');
+        title.className = 'pause-title';
+        title.innerText = 'Paused';
+
+        const resumeBtn = document.createElement('button');
+        resumeBtn.className = 'menu-button';
+        resumeBtn.innerText = 'Resume';
+
+        const restartBtn = document.createElement('button');
+        restartBtn.className = 'menu-button';
+        restartBtn.innerText = 'Restart';
+
+        const quitBtn = document.createElement('button');
+        quitBtn.className = 'menu-button';
+        quitBtn.innerText = 'Quit to Menu';
+
+        this.pauseMenuElement.appendChild(title);
+        this.pauseMenuElement.appendChild(resumeBtn);
+        this.pauseMenuElement.appendChild(restartBtn);
+        this.pauseMenuElement.appendChild(quitBtn);
+        document.body.appendChild(this.pauseMenuElement);
+        this.hideElement(this.pauseMenuElement);
+
+        this.onResumeClicked = null;     // callback()
+        this.onRestartClicked = null;    // callback()
+        this.onQuitToMenuClicked = null; // callback()
+        resumeBtn.addEventListener('click', () => {
+            if (typeof this.onResumeClicked === 'function') {
+                this.onResumeClicked();
+            }
+        });
+        restartBtn.addEventListener('click', () => {
+            if (typeof this.onRestartClicked === 'function') {
+                this.onRestartClicked();
+            }
+        });
+        quitBtn.addEventListener('click', () => {
+            if (typeof this.onQuitToMenuClicked === 'function') {
+                this.onQuitToMenuClicked();
+            }
+        });
+    }
+
+    // Controls screen: one row per action with key and gamepad button slots
+    createSettingsScreen() {
+        this.settingsElement = document.createElement('div');
+        this.settingsElement.className = 'settings-screen';
+
+        const container = document.createElement('div');
+        container.className = 'settings-container';
+
+        const title = document.createElement('h2');
+        title.className = 'settings-title';
+        title.innerText = 'Controls';
+
+        const hint = document.createElement('p');
+        hint.className = 'settings-hint';
+        hint.innerText = 'Pick a slot, then press the key or gamepad button for it.';
+
+        // Filled in by createBindingsTable once the actions are known
+        this.bindingsTable = document.createElement('table');
+        this.bindingsTable.className = 'bindings-table';
+
+        this.settingsStatusElement = document.createElement('div');
+        this.settingsStatusElement.className = 'settings-status';
+
+        const resetBtn = document.createElement('button');
+        resetBtn.className = 'menu-button';
+        resetBtn.innerText = 'Reset to Defaults';
+
+        const backBtn = document.createElement('button');
+        backBtn.className = 'menu-button';
+        backBtn.innerText = 'Back to Menu';
+
+        container.appendChild(title);
+        container.appendChild(hint);
+        container.appendChild(this.bindingsTable);
+        container.appendChild(this.settingsStatusElement);
+        // Back first: it is the default gamepad button, Reset shouldn't be one press away
+        container.appendChild(backBtn);
+        container.appendChild(resetBtn);
+        this.settingsElement.appendChild(container);
+        document.body.appendChild(this.settingsElement);
+        this.hideElement(this.settingsElement);
+
+        this.onBindingSlotClicked = null;   // callback(action, kind, slot)
+        this.onResetBindingsClicked = null; // callback()
+        this.onSettingsBack = null;         // callback()
+        resetBtn.addEventListener('click', () => {
+            if (typeof this.onResetBindingsClicked === 'function') {
+                this.onResetBindingsClicked();
+            }
+        });
+        backBtn.addEventListener('click', () => {
+            if (typeof this.onSettingsBack === 'function') {
+                this.onSettingsBack();
+            }
+        });
+    }
+
+    createShopScreen() {
+        this.shopElement = document.createElement('div');
+        this.shopElement.className = 'shop-screen';
+
+        const container = document.createElement('div');
+        container.className = 'shop-container';
+
+        const title = document.createElement('h2');
+        title.className = 'shop-title';
+        title.innerText = 'Upgrade Shop';
+
+        this.shopBalanceElement = document.createElement('div');
+        this.shopBalanceElement.className = 'shop-balance';
+
+        const hint = document.createElement('p');
+        hint.className = 'shop-hint';
+        hint.innerText = 'Earn bolts from the blueprints, water drops and energy cells you collect. Upgrades last forever.';
+
+        // One row per upgrade, built by renderShop on first use
+        this.shopList = document.createElement('div');
+        this.shopList.className = 'shop-list';
+        this.shopRows = new Map(); // upgrade id -> { level, cost, buyBtn }
+
+        const backBtn = document.createElement('button');
+        backBtn.className = 'menu-button';
+        backBtn.innerText = 'Back to Menu';
+
+        container.appendChild(title);
+        container.appendChild(this.shopBalanceElement);
+        container.appendChild(hint);
+        container.appendChild(this.shopList);
+        container.appendChild(backBtn);
+        this.shopElement.appendChild(container);
+        document.body.appendChild(this.shopElement);
+        this.hideElement(this.shopElement);
+
+        this.onUpgradeClicked = null; // callback(upgradeId)
+        this.onShopBack = null;       // callback()
+        backBtn.addEventListener('click', () => {
+            if (typeof this.onShopBack === 'function') {
+                this.onShopBack();
+            }
+        });
+    }
+
+    // items as UpgradeManager.getShopItems(); rows are updated in place so gamepad focus survives a purchase
+    renderShop(balance, items) {
+        this.shopBalanceElement.innerText = `${CURRENCY_CONFIG.ICON} ${balance} ${CURRENCY_CONFIG.NAME}`;
+
+        items.forEach(item => {
+            if (!this.shopRows.has(item.id)) {
+                this.shopRows.set(item.id, this.createShopRow(item));
+            }
+            const row = this.shopRows.get(item.id);
+            row.level.innerText = `Level ${item.level}/${item.maxLevel}`;
+            row.buyBtn.innerText = item.cost === null ? 'Maxed' : `${CURRENCY_CONFIG.ICON} ${item.cost}`;
+            row.buyBtn.disabled = !item.affordable;
+        });
+    }
+
+    createShopRow(item) {
+        const row = document.createElement('div');
+        row.className = 'shop-item';
+
+        const info = document.createElement('div');
+        info.className = 'shop-item-info';
+        info.innerHTML = `
+            <div class="shop-item-label"></div>
+            <div class="shop-item-description"></div>
+            <div class="shop-item-level"></div>
+        `;
+        info.querySelector('.shop-item-label').innerText = item.label;
+        info.querySelector('.shop-item-description').innerText = item.description;
+
+        const buyBtn = document.createElement('button');
+        buyBtn.className = 'shop-buy';
+        buyBtn.addEventListener('click', () => {
+            if (typeof this.onUpgradeClicked === 'function') {
+                this.onUpgradeClicked(item.id);
+            }
+        });
+
+        row.appendChild(info);
+        row.appendChild(buyBtn);
+        this.shopList.appendChild(row);
+        return { level: info.querySelector('.shop-item-level'), buyBtn };
+    }
+
+    createAchievementsScreen() {
+        this.achievementsElement = document.createElement('div');
+        this.achievementsElement.className = 'achievements-screen';
+
+        const container = document.createElement('div');
+        container.className = 'achievements-container';
+
+        const title = document.createElement('h2');
+        title.className = 'achievements-title';
+        title.innerText = 'Achievements';
+
+        this.achievementsSummaryElement = document.createElement('div');
+        this.achievementsSummaryElement.className = 'achievements-summary';
+
+        // Filled in by renderAchievements
+        this.achievementsGrid = document.createElement('div');
+        this.achievementsGrid.className = 'achievements-grid';
+
+        const backBtn = document.createElement('button');
+        backBtn.className = 'menu-button';
+        backBtn.innerText = 'Back to Menu';
+
+        container.appendChild(title);
+        container.appendChild(this.achievementsSummaryElement);
+        container.appendChild(this.achievementsGrid);
+        container.appendChild(backBtn);
+        this.achievementsElement.appendChild(container);
+        document.body.appendChild(this.achievementsElement);
+        this.hideElement(this.achievementsElement);
+
+        this.onAchievementsBack = null; // callback()
+        backBtn.addEventListener('click', () => {
+            if (typeof this.onAchievementsBack === 'function') {
+                this.onAchievementsBack();
+            }
+        });
+    }
+
+    // gallery as AchievementTracker.getGallery(); locked badges are greyed out
+    renderAchievements(gallery) {
+        const unlockedCount = gallery.filter(achievement => achievement.unlockedAt).length;
+        this.achievementsSummaryElement.innerText = `${unlockedCount} of ${gallery.length} unlocked`;
+
+        this.achievementsGrid.innerHTML = '';
+        gallery.forEach(achievement => {
+            const badge = document.createElement('div');
+            badge.className = achievement.unlockedAt ? 'achievement unlocked' : 'achievement';
+            badge.innerHTML = `
+                <div class="achievement-icon"></div>
+                <div class="achievement-label"></div>
+                <div class="achievement-description"></div>
+                <div class="achievement-date"></div>
+            `;
+            badge.querySelector('.achievement-icon').innerText = achievement.unlockedAt ? achievement.icon : '🔒';
+            badge.querySelector('.achievement-label').innerText = achievement.label;
+            badge.querySelector('.achievement-description').innerText = achievement.description;
+            badge.querySelector('.achievement-date').innerText = achievement.unlockedAt ?
+                new Date(achievement.unlockedAt).toLocaleDateString() : '';
+            this.achievementsGrid.appendChild(badge);
+        });
+    }
+
+    // actions is CONTROL_ACTIONS; slot labels are filled in by renderBindings
+    createBindingsTable(actions) {
+        this.controlActions = actions;
+        this.bindingsTable.innerHTML = `
+            <tr><th>Action</th><th colspan="${KEY_SLOTS}">Keys</th><th colspan="${BUTTON_SLOTS}">Gamepad</th></tr>
+        `;
+
+        Object.entries(actions).forEach(([action, definition]) => {
+            const row = document.createElement('tr');
+            const label = document.createElement('td');
+            label.className = 'binding-label';
+            label.innerText = definition.LABEL;
+            row.appendChild(label);
+
+            [['keys', KEY_SLOTS], ['buttons', BUTTON_SLOTS]].forEach(([kind, slotCount]) => {
+                for (let slot = 0; slot < slotCount; slot++) {
+                    const cell = document.createElement('td');
+                    const slotBtn = document.createElement('button');
+                    slotBtn.className = 'binding-slot';
+                    slotBtn.dataset.action = action;
+                    slotBtn.dataset.kind = kind;
+                    slotBtn.dataset.slot = slot;
+                    slotBtn.addEventListener('click', () => {
+                        if (typeof this.onBindingSlotClicked === 'function') {
+                            this.onBindingSlotClicked(action, kind, slot);
+                        }
+                    });
+                    cell.appendChild(slotBtn);
+                    row.appendChild(cell);
+                }
+            });
+            this.bindingsTable.appendChild(row);
+        });
+    }
+
+    // Show a ControlBindings in the slot buttons; also ends any capture highlight
+    renderBindings(bindings) {
+        this.bindingsTable.querySelectorAll('.binding-slot').forEach(slotBtn => {
+            const { action, kind, slot } = slotBtn.dataset;
+            const value = bindings.getSlots(action, kind)[slot];
+            slotBtn.classList.remove('capturing');
+            slotBtn.classList.toggle('empty', value === null);
+            if (value === null) {
+                slotBtn.innerText = '—';
+            } else {
+                slotBtn.innerText = kind === 'keys' ? formatKey(value) : formatButton(value);
+            }
+        });
+
+        const restartKeys = bindings.getKeys('RESTART');
+        this.gameOverElement.querySelector('.game-over-instruction').innerText = restartKeys.length > 0 ?
+            `Press ${formatKey(restartKeys[0])} to Restart` : '';
+    }
+
+    setBindingCapture(action, kind, slot) {
+        this.bindingsTable.querySelectorAll('.binding-slot').forEach(slotBtn => {
+            const capturing = slotBtn.dataset.action === action &&
+                slotBtn.dataset.kind === kind &&
+                Number(slotBtn.dataset.slot) === slot;
+            slotBtn.classList.toggle('capturing', capturing);
+            if (capturing) {
+                slotBtn.innerText = '…';
+            }
+        });
+    }
+
+    setSettingsStatus(message) {
+        this.settingsStatusElement.innerText = message;
+    }
+
+    // Controls list in the page instructions (#controls-list in index.html)
+    renderControlsList(bindings) {
+        const list = document.getElementById('controls-list');
+        if (!list || !this.controlActions) return;
+
+        list.innerHTML = '';
+        Object.entries(this.controlActions).forEach(([action, definition]) => {
+            const keys = bindings.getKeys(action).map(formatKey);
+            const buttons = bindings.getButtons(action).map(formatButton);
+            const item = document.createElement('li');
+            item.innerText = `${keys.length > 0 ? keys.join(' or ') : 'No key'}: ${definition.LABEL}` +
+                (buttons.length > 0 ? ` (🎮 ${buttons.join(' or ')})` : '');
+            list.appendChild(item);
+        });
+    }
+
     /* --------------------------- Screen Helpers ------------------------ */
 
     showElement(el) { if (el) el.style.display = 'flex'; }
@@ -186,6 +713,12 @@ export class UIManager {
     showStartMenu() { this.showElement(this.startMenuElement); }
     hideStartMenu() { this.hideElement(this.startMenuElement); }
 
+    showReplayError(message) {
+        this.replayErrorElement.innerText = message;
+        this.showElement(this.replayErrorElement);
+    }
+    hideReplayError() { this.hideElement(this.replayErrorElement); }
+
     showUserInfo() { 
         // Focus on input when showing user info screen
         this.showElement(this.userInfoElement);
@@ -199,6 +732,53 @@ export class UIManager {
     showLeaderboard() { this.showElement(this.leaderboardElement); }
     hideLeaderboard() { this.hideElement(this.leaderboardElement); }
 
+    showSettings() { this.showElement(this.settingsElement); }
+    hideSettings() { this.hideElement(this.settingsElement); }
+
+    showShop() { this.showElement(this.shopElement); }
+    hideShop() { this.hideElement(this.shopElement); }
+
+    showAchievements() { this.showElement(this.achievementsElement); }
+    hideAchievements() { this.hideElement(this.achievementsElement); }
+
+    // Gamepad navigation over the buttons of whichever menu screen is showing
+    getActiveMenuButtons() {
+        const screens = [this.pauseMenuElement, this.userInfoElement, this.leaderboardElement, this.settingsElement, this.shopElement,
+            this.achievementsElement, this.startMenuElement];
+        const screen = screens.find(element => element && element.style.display !== 'none');
+        return screen ? Array.from(screen.querySelectorAll('button')) : [];
+    }
+
+    moveMenuFocus(step) {
+        const buttons = this.getActiveMenuButtons();
+        if (buttons.length === 0) return;
+        
+        const current = buttons.findIndex(button => button.classList.contains('gamepad-focus'));
+        const next = current === -1 ?
+            buttons.indexOf(this.getDefaultMenuButton(buttons)) :
+            (current + step + buttons.length) % buttons.length;
+        buttons.forEach(button => button.classList.remove('gamepad-focus'));
+        buttons[next].classList.add('gamepad-focus');
+        buttons[next].focus();
+    }
+
+    activateMenuFocus() {
+        const buttons = this.getActiveMenuButtons();
+        const focused = buttons.find(button => button.classList.contains('gamepad-focus')) ||
+            this.getDefaultMenuButton(buttons);
+        if (focused) {
+            focused.click();
+        }
+    }
+
+    // Main action of a screen (Play, Resume) rather than the option toggles above it
+    getDefaultMenuButton(buttons) {
+        return buttons.find(button => button.classList.contains('menu-button')) || buttons[0];
+    }
+
+    showPauseMenu() { this.showElement(this.pauseMenuElement); }
+    hidePauseMenu() { this.hideElement(this.pauseMenuElement); }
+
     /* --------------------------- Leaderboard --------------------------- */
 
     /**
@@ -215,7 +795,7 @@ export class UIManager {
 
         // Header row
         const headerRow = document.createElement('tr');
-        ['Rank','Name','Score','Blueprints','Water','Energy','Date'].forEach(h => {
+        ['Rank','Name','Score','Blueprints','Water','Energy','Combo','Date'].forEach(h => {
             const th = document.createElement('th');
             th.innerText = h;
             headerRow.appendChild(th);
@@ -226,7 +806,7 @@ export class UIManager {
             // Show "no scores yet" message
             const emptyRow = document.createElement('tr');
             const emptyCell = document.createElement('td');
-            emptyCell.colSpan = 7;
+            emptyCell.colSpan = 8;
             emptyCell.style.textAlign = 'center';
             emptyCell.style.padding = '40px';
             emptyCell.style.opacity = '0.7';
@@ -251,6 +831,7 @@ export class UIManager {
                 entry.blueprints || 0,
                 entry.waterDrops || 0,
                 entry.energyCells || 0,
+                `x${entry.bestMultiplier || 1}`,
                 entry.date ? new Date(entry.date).toLocaleDateString() : 'Today'
             ];
             
@@ -265,31 +846,46 @@ export class UIManager {
         console.log('✅ Leaderboard updated successfully');
     }
 
-    updateScore(points) {
-        this.score += points;
+    // Mirror the simulation's run stats (emitted on 'scoreChanged') in the HUD
+    setStats(stats) {
+        this.score = stats.score;
+        this.blueprints = stats.blueprints;
+        this.waterDrops = stats.waterDrops;
+        this.energyCells = stats.energyCells;
+        this.bestMultiplier = stats.bestMultiplier;
         this.updateScoreDisplay();
     }
 
-    updateCollectables(type, points) {
-        switch (type) {
-            case 'blueprint':
-                this.blueprints++;
-                break;
-            case 'waterDrop':
-                this.waterDrops++;
-                break;
-            case 'energyCell':
-                this.energyCells++;
-                break;
+    // Hidden until the first pickup or pass of a chain
+    setCombo(chain, multiplier) {
+        if (!this.comboElement) return;
+        this.comboElement.style.display = chain > 0 ? 'block' : 'none';
+        this.comboMultiplierElement.innerText = `x${multiplier}`;
+        this.comboChainElement.innerText = `${chain} in a row`;
+    }
+
+    // progress: share of the decay timer left (0-1)
+    setComboDecay(progress) {
+        if (this.comboBarElement) {
+            this.comboBarElement.style.width = `${Math.round(progress * 100)}%`;
         }
-        this.updateScore(points);
+    }
+
+    setLives(lives, maxLives) {
+        this.lives = lives;
+        this.maxLives = maxLives;
+        this.updateScoreDisplay();
     }
 
     updateScoreDisplay() {
         if (this.scoreElement) {
+            // One-life modes (Hard) have nothing to show
+            const livesRow = this.maxLives > 1 ?
+                `<div class="lives-display">${'❤️'.repeat(this.lives)}${'🖤'.repeat(this.maxLives - this.lives)}</div>` : '';
             this.scoreElement.innerHTML = `
                 <div class="score-value">Score: ${Math.floor(this.score)}</div>
                 <div>BP: ${this.blueprints} | WD: ${this.waterDrops} | EC: ${this.energyCells}</div>
+                ${livesRow}
             `;
         }
     }
@@ -302,6 +898,7 @@ export class UIManager {
                 <div><span class="stat-label">Blueprints:</span> ${this.blueprints}</div>
                 <div><span class="stat-label">Water Drops:</span> ${this.waterDrops}</div>
                 <div><span class="stat-label">Energy Cells:</span> ${this.energyCells}</div>
+                <div><span class="stat-label">Best Combo:</span> x${this.bestMultiplier}</div>
             `;
         }
         this.gameOverElement.style.display = 'block';
@@ -313,31 +910,115 @@ export class UIManager {
         this.gameOverElement.style.display = 'none';
     }
 
-    addPowerUpToUI(name, durationSeconds) {
+    // Fields come from the powerUpActivated event (powerup-registry.js). One row per power-up:
+    // picking one up again while it is active updates its row with the new time and stack count.
+    addPowerUpToUI(type, icon, label, durationSeconds, stacks = 1) {
+        const stackedLabel = stacks > 1 ? `${label} x${stacks}` : label;
+        const existing = this.activePowerUps.find(p => p.type === type);
+        if (existing) {
+            existing.duration = durationSeconds;
+            existing.remaining = durationSeconds * 1000;
+            existing.element.querySelector('.power-up-label').innerText = stackedLabel;
+            existing.element.querySelector('.power-up-timer').innerText = `${durationSeconds.toFixed(1)}s`;
+            return;
+        }
+        
         const powerUpElement = document.createElement('div');
         powerUpElement.className = 'power-up';
         powerUpElement.style.top = `${70 + this.powerUpElements.length * 60}px`;
         
         powerUpElement.innerHTML = `
-            <span class="power-up-icon">${name.substring(0, 2)}</span>
-            <span>${name.substring(3)}</span>
+            <span class="power-up-icon">${icon}</span>
+            <span class="power-up-label">${stackedLabel}</span>
             <span class="power-up-timer">${durationSeconds}s</span>
         `;
         
         document.body.appendChild(powerUpElement);
         
+        // Countdown is advanced by updatePowerUpTimers on the simulation clock
         const powerUp = {
             element: powerUpElement,
-            name: name,
+            type: type,
+            name: label,
             duration: durationSeconds,
-            startTime: Date.now()
+            remaining: durationSeconds * 1000
         };
         this.powerUpElements.push(powerUp);
         this.activePowerUps.push(powerUp);
+    }
+
+    // Short floating message in the middle of the screen (near misses)
+    showScorePopup(text) {
+        const popup = document.createElement('div');
+        popup.className = 'score-popup';
+        popup.innerText = text;
+        document.body.appendChild(popup);
+        // Removed once its CSS animation has played
+        popup.addEventListener('animationend', () => popup.remove());
+    }
+
+    // Active missions on the start menu; missions as MissionManager.getActiveMissions()
+    renderMissions(missions) {
+        this.missionPanelElement.innerHTML = '<div class="mission-panel-title">Missions</div>';
         
-        setTimeout(() => {
-            this.removePowerUpFromUI(powerUp);
-        }, durationSeconds * 1000);
+        missions.forEach(mission => {
+            const row = document.createElement('div');
+            row.className = 'mission';
+            
+            const header = document.createElement('div');
+            header.className = 'mission-header';
+            header.innerText = `${mission.label}${mission.singleRun ? ' (one run)' : ''}`;
+            const reward = document.createElement('span');
+            reward.className = 'mission-reward';
+            reward.innerText = `+${mission.reward}`;
+            header.appendChild(reward);
+            row.appendChild(header);
+            
+            const goals = document.createElement('div');
+            goals.className = 'mission-goals';
+            goals.innerText = this.formatMissionGoals(mission);
+            row.appendChild(goals);
+            
+            const bar = document.createElement('div');
+            bar.className = 'mission-bar';
+            const fill = document.createElement('div');
+            fill.className = 'mission-bar-fill';
+            fill.style.width = `${Math.round(mission.fraction * 100)}%`;
+            bar.appendChild(fill);
+            row.appendChild(bar);
+            
+            this.missionPanelElement.appendChild(row);
+        });
+    }
+    
+    formatMissionGoals(mission) {
+        return mission.goals.map(goal => `${goal.label} ${goal.progress}/${goal.target}`).join(' · ');
+    }
+    
+    // Mission progress during play
+    showMissionToast(mission, completed) {
+        if (completed) {
+            this.showToast(`✅ ${mission.label} complete! +${mission.reward}`, 'highlight');
+        } else {
+            this.showToast(`${mission.label}: ${this.formatMissionGoals(mission)}`);
+        }
+    }
+    
+    // achievement as AchievementTracker.getGallery() describes it
+    showAchievementToast(achievement) {
+        this.showToast(`🏆 Achievement unlocked: ${achievement.icon} ${achievement.label}`, 'highlight');
+    }
+    
+    // HUD notification at the bottom of the screen; variant 'highlight' for unlocks and completions
+    showToast(text, variant = null) {
+        const toast = document.createElement('div');
+        toast.className = variant ? `hud-toast ${variant}` : 'hud-toast';
+        toast.innerText = text;
+        // Stack above toasts still showing
+        toast.style.bottom = `${30 + document.querySelectorAll('.hud-toast').length * 50}px`;
+        document.body.appendChild(toast);
+        // Removed once its CSS animation has played
+        toast.addEventListener('animationend', () => toast.remove());
     }
 
     removePowerUpFromUI(powerUp) {
@@ -355,16 +1036,22 @@ export class UIManager {
         });
     }
 
-    // Performance optimized: Only update timers every 100ms instead of every frame
-    updatePowerUpTimers() {
-        // Only update every 6 frames (about 100ms at 60fps) to reduce performance impact
-        if (!this.timerUpdateCounter) this.timerUpdateCounter = 0;
-        this.timerUpdateCounter++;
-        if (this.timerUpdateCounter % 6 !== 0) return;
+    // Advance power-up countdowns by one simulation tick (deltaTime in ms)
+    updatePowerUpTimers(deltaTime) {
+        for (const powerUp of [...this.activePowerUps]) {
+            powerUp.remaining -= deltaTime;
+            if (powerUp.remaining <= 0) {
+                this.removePowerUpFromUI(powerUp);
+            }
+        }
+
+        // Performance optimized: Only refresh timer text every 100ms instead of every tick
+        this.timerDisplayElapsed = (this.timerDisplayElapsed || 0) + deltaTime;
+        if (this.timerDisplayElapsed < 100) return;
+        this.timerDisplayElapsed = 0;
 
         for (const powerUp of this.activePowerUps) {
-            const elapsed = (Date.now() - powerUp.startTime) / 1000;
-            const remaining = Math.max(0, powerUp.duration - elapsed);
+            const remaining = Math.max(0, powerUp.remaining / 1000);
             const timerElement = powerUp.element?.querySelector('.power-up-timer');
             if (timerElement) {
                 timerElement.innerText = `${remaining.toFixed(1)}s`;
@@ -380,7 +1067,8 @@ export class UIManager {
         return {
             blueprints: this.blueprints,
             waterDrops: this.waterDrops,
-            energyCells: this.energyCells
+            energyCells: this.energyCells,
+            bestMultiplier: this.bestMultiplier
         };
     }
 
@@ -389,7 +1077,8 @@ export class UIManager {
         this.blueprints = 0;
         this.waterDrops = 0;
         this.energyCells = 0;
-        this.timerUpdateCounter = 0;
+        this.bestMultiplier = 1;
+        this.timerDisplayElapsed = 0;
         
         // Clear power-up UI elements
         this.powerUpElements.forEach(p => {
@@ -402,5 +1091,7 @@ export class UIManager {
         
         this.hideGameOver();
         this.updateScoreDisplay();
+        this.setCombo(0, 1);
+        this.setComboDecay(0);
     }
 }
\ No newline at end of file
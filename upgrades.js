@@ -0,0 +1,166 @@
+// upgrades.js
+// Meta progression: the bolt balance and the upgrade levels bought with it in the shop,
+// saved to localStorage between visits. Upgrades (UPGRADES in constants.js) are handed
+// to the simulation as plain levels at run start, and getUpgradeEffects() turns those
+// into what PowerUpManager and CollectableManager apply. Replays record the levels, so
+// a replay plays back with the upgrades it was recorded with.
+//
+// Saves carry a schema version. When the layout changes, bump SAVE_VERSION and add a
+// migration to MIGRATIONS so existing balances and upgrades carry over.
+
+import { UPGRADES, CURRENCY_CONFIG, POWER_UP_DURATIONS, PHYSICS } from './constants.js';
+
+const SAVE_VERSION = 1;
+
+// MIGRATIONS[n] turns a version n save into a version n + 1 save
+const MIGRATIONS = {};
+
+/**
+ * Clamp saved or replayed levels to the upgrades that exist and their level counts
+ * @param {Object} levels - Upgrade id -> level
+ * @returns {Object} - Upgrade id -> level, for every upgrade in UPGRADES
+ */
+export function sanitizeUpgradeLevels(levels = {}) {
+    const sanitized = {};
+    for (const [id, upgrade] of Object.entries(UPGRADES)) {
+        const level = levels && levels[id];
+        sanitized[id] = Number.isInteger(level) ? Math.min(Math.max(level, 0), upgrade.COSTS.length) : 0;
+    }
+    return sanitized;
+}
+
+/**
+ * What a set of upgrade levels does to a run
+ * @param {Object} levels - Upgrade id -> level (missing upgrades count as level 0)
+ * @returns {Object} - { powerUpDurations, magnetRadius, startingShield, headStartTime, headStartSpeed }
+ */
+export function getUpgradeEffects(levels = {}) {
+    const sanitized = sanitizeUpgradeLevels(levels);
+
+    const powerUpDurations = { ...POWER_UP_DURATIONS };
+    for (const [id, upgrade] of Object.entries(UPGRADES)) {
+        if (upgrade.POWER_UP) {
+            powerUpDurations[upgrade.POWER_UP] += sanitized[id] * upgrade.EFFECT;
+        }
+    }
+
+    return {
+        powerUpDurations,
+        magnetRadius: PHYSICS.MAGNET_RADIUS + sanitized.MAGNET_RADIUS * UPGRADES.MAGNET_RADIUS.EFFECT,
+        startingShield: sanitized.STARTING_SHIELD > 0,
+        headStartTime: sanitized.HEAD_START * UPGRADES.HEAD_START.EFFECT,
+        headStartSpeed: UPGRADES.HEAD_START.SPEED_MULTIPLIER
+    };
+}
+
+/**
+ * Bolts earned by a run
+ * @param {Object} stats - Run stats ({ blueprints, waterDrops, energyCells })
+ * @returns {number}
+ */
+export function getRunEarnings(stats) {
+    return Object.entries(CURRENCY_CONFIG.PER_ITEM)
+        .reduce((sum, [stat, value]) => sum + (stats[stat] || 0) * value, 0);
+}
+
+export class UpgradeManager {
+    constructor(storageKey = 'infraRunnerProgress') {
+        this.storageKey = storageKey;
+        const saved = this.load();
+        this.balance = saved.balance;
+        this.levels = saved.levels;
+    }
+
+    getBalance() {
+        return this.balance;
+    }
+
+    getLevel(id) {
+        return this.levels[id];
+    }
+
+    // Levels for the simulation (and the replay) of the next run
+    getLevels() {
+        return { ...this.levels };
+    }
+
+    // Price of the next level, or null at the top level
+    getCost(id) {
+        const costs = UPGRADES[id].COSTS;
+        return this.levels[id] < costs.length ? costs[this.levels[id]] : null;
+    }
+
+    canBuy(id) {
+        const cost = this.getCost(id);
+        return cost !== null && cost <= this.balance;
+    }
+
+    // Returns true if the level was bought
+    buy(id) {
+        if (!this.canBuy(id)) return false;
+        this.balance -= this.getCost(id);
+        this.levels[id]++;
+        this.save();
+        console.log(`🛒 Bought ${id} level ${this.levels[id]} (${this.balance} ${CURRENCY_CONFIG.NAME.toLowerCase()} left)`);
+        return true;
+    }
+
+    // Pay out a finished run; returns the bolts earned
+    earnFromRun(stats) {
+        const earned = getRunEarnings(stats);
+        if (earned > 0) {
+            this.balance += earned;
+            this.save();
+        }
+        return earned;
+    }
+
+    // Upgrades for the shop screen
+    getShopItems() {
+        return Object.entries(UPGRADES).map(([id, upgrade]) => ({
+            id,
+            label: upgrade.LABEL,
+            description: upgrade.DESCRIPTION,
+            level: this.levels[id],
+            maxLevel: upgrade.COSTS.length,
+            cost: this.getCost(id),
+            affordable: this.canBuy(id)
+        }));
+    }
+
+    load() {
+        const fresh = { balance: 0, levels: sanitizeUpgradeLevels() };
+        try {
+            let saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (!saved) return fresh;
+
+            while (saved.version < SAVE_VERSION && MIGRATIONS[saved.version]) {
+                saved = MIGRATIONS[saved.version](saved);
+            }
+            if (saved.version !== SAVE_VERSION) {
+                console.warn(`Ignoring upgrade save with unsupported version: ${saved.version}`);
+                return fresh;
+            }
+
+            return {
+                balance: Number.isInteger(saved.balance) && saved.balance > 0 ? saved.balance : 0,
+                levels: sanitizeUpgradeLevels(saved.levels)
+            };
+        } catch (error) {
+            console.error('Error loading upgrade progress:', error);
+            return fresh;
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                version: SAVE_VERSION,
+                balance: this.balance,
+                levels: this.levels
+            }));
+        } catch (error) {
+            console.error('Error saving upgrade progress:', error);
+        }
+    }
+}
@@ -0,0 +1,167 @@
+// water-pipeline.js
+// The Water Pipeline power-up: a half-pipe of running water laid along the lane with the
+// fewest obstacles ahead. The player is steered into it, obstacles in its lane are cleared
+// as the pipe reaches them (and can't hit the player while it runs), and water drops are
+// laid along it. The pipe travels with the player for as long as the power-up lasts.
+
+import * as THREE from 'three';
+import { LANES, WATER_PIPELINE_CONFIG } from './constants.js';
+import { SeededRandom } from './random.js';
+
+export class WaterPipeline {
+    constructor(scene, player, rng = new SeededRandom(), config = WATER_PIPELINE_CONFIG) {
+        this.scene = scene;
+        this.player = player;
+        this.rng = rng; // Breaks ties between equally clear lanes
+        this.config = config;
+        this.obstacleManager = null; // Set through PowerUpManager
+        this.collectableManager = null; // Set through PowerUpManager
+
+        this.lane = null; // Lane the pipe runs in, null when there is no pipe
+        this.mesh = null; // Tube and water surface
+        this.flowTexture = null;
+        this.lastDrop = null; // Furthest water drop laid so far; the next goes DROP_SPACING beyond it
+    }
+
+    start() {
+        this.stop();
+
+        const playerZ = this.player.getPosition().z;
+        this.lane = this.chooseLane(playerZ);
+        this.player.steerToLane(this.lane);
+        this.createMesh();
+        this.update();
+        console.log(`🚰 Water Pipeline laid in lane ${this.lane}`);
+    }
+
+    // Picked up again while running: same lane, and back into it if the player left
+    refresh() {
+        if (this.lane !== null) {
+            this.player.steerToLane(this.lane);
+        }
+    }
+
+    stop() {
+        if (this.mesh) {
+            this.scene.remove(this.mesh);
+            this.mesh.traverse((child) => {
+                if (child.isMesh) {
+                    child.geometry.dispose();
+                    child.material.dispose();
+                }
+            });
+            this.flowTexture.dispose();
+        }
+        this.mesh = null;
+        this.flowTexture = null;
+        this.lane = null;
+        this.lastDrop = null;
+    }
+
+    // Lane with the fewest obstacles along the pipe's length. The player's own lane wins a
+    // tie, then the closest; lanes equally close are picked at random.
+    chooseLane(playerZ) {
+        const counts = new Array(LANES.COUNT).fill(0);
+        for (const obstacle of this.getObstaclesAlong(playerZ)) {
+            counts[obstacle.lane]++;
+        }
+
+        const fewest = Math.min(...counts);
+        const candidates = counts.map((count, lane) => lane).filter(lane => counts[lane] === fewest);
+        const playerLane = this.player.getLane();
+        if (candidates.includes(playerLane)) return playerLane;
+
+        const laneDistance = (lane) => Math.abs(lane - playerLane);
+        const nearest = Math.min(...candidates.map(laneDistance));
+        return this.rng.pick(candidates.filter(lane => laneDistance(lane) === nearest));
+    }
+
+    getObstaclesAlong(playerZ) {
+        if (!this.obstacleManager) return [];
+        const farZ = playerZ - this.config.LENGTH;
+        return this.obstacleManager.getObstacles().filter(obstacle =>
+            obstacle.mesh.position.z >= farZ && obstacle.mesh.position.z <= playerZ + this.config.BEHIND);
+    }
+
+    // One tick: clear the lane ahead, lay drops out to the far end, follow the player, run the water
+    update() {
+        if (this.lane === null) return;
+
+        const playerZ = this.player.getPosition().z;
+        const farZ = playerZ - this.config.LENGTH;
+
+        if (this.obstacleManager) {
+            this.obstacleManager.clearLane(this.lane, farZ, playerZ + this.config.BEHIND);
+        }
+        this.layDrops(playerZ, farZ);
+
+        this.mesh.position.z = playerZ + (this.config.BEHIND - this.config.LENGTH) / 2;
+        this.flowTexture.offset.y += this.config.FLOW_SPEED;
+    }
+
+    layDrops(playerZ, farZ) {
+        if (!this.collectableManager) return;
+
+        let nextZ = this.lastDrop ? this.lastDrop.mesh.position.z - this.config.DROP_SPACING : playerZ - this.config.DROP_SPACING;
+        while (nextZ >= farZ) {
+            const drop = this.collectableManager.spawnAuthoredCollectible('waterDrop', this.lane, nextZ);
+            if (!drop) return;
+            drop.skipsPowerUpCount = true; // Doesn't bring the next power-up spawn closer
+            this.lastDrop = drop;
+            nextZ -= this.config.DROP_SPACING;
+        }
+    }
+
+    // Open half-pipe with a scrolling water surface, one mesh for the whole length
+    createMesh() {
+        const length = this.config.LENGTH + this.config.BEHIND;
+        const radius = this.config.RADIUS;
+
+        // Lower half of an open cylinder, turned to run along the track
+        const tubeGeometry = new THREE.CylinderGeometry(radius, radius, length, 20, 1, true, -Math.PI / 2, Math.PI);
+        tubeGeometry.rotateX(Math.PI / 2);
+        const tube = new THREE.Mesh(tubeGeometry, new THREE.MeshStandardMaterial({
+            color: this.config.COLOR,
+            transparent: true,
+            opacity: 0.45,
+            side: THREE.DoubleSide
+        }));
+        tube.position.y = radius;
+
+        // Light and dark bands that scroll along the pipe
+        const bands = new Uint8Array([
+            120, 210, 255, 255,
+            0, 140, 230, 255,
+            60, 180, 255, 255,
+            0, 120, 210, 255
+        ]);
+        this.flowTexture = new THREE.DataTexture(bands, 1, 4);
+        this.flowTexture.wrapS = THREE.RepeatWrapping;
+        this.flowTexture.wrapT = THREE.RepeatWrapping;
+        this.flowTexture.magFilter = THREE.LinearFilter;
+        this.flowTexture.repeat.set(1, length / 2);
+        this.flowTexture.needsUpdate = true;
+
+        const water = new THREE.Mesh(
+            new THREE.PlaneGeometry(radius * 1.6, length),
+            new THREE.MeshStandardMaterial({
+                map: this.flowTexture,
+                transparent: true,
+                opacity: 0.8,
+                emissive: new THREE.Color(this.config.COLOR).multiplyScalar(0.2)
+            })
+        );
+        water.rotation.x = -Math.PI / 2;
+        water.position.y = 0.12;
+
+        this.mesh = new THREE.Group();
+        this.mesh.add(tube);
+        this.mesh.add(water);
+        this.mesh.position.x = LANES.POSITIONS[this.lane];
+        this.scene.add(this.mesh);
+    }
+
+    getLane() {
+        return this.lane;
+    }
+}